@@ -0,0 +1,85 @@
+const admin = require('firebase-admin');
+
+// =====================================================
+// 🔐 FIREBASE AUTH MIDDLEWARE
+// Verifies the "Authorization: Bearer <Firebase ID token>" header
+// and attaches req.user = { uid, email, isAdmin, claims }.
+// =====================================================
+
+function bearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.split('Bearer ')[1];
+}
+
+async function decodeUser(token) {
+  const decodedToken = await admin.auth().verifyIdToken(token);
+  return {
+    uid: decodedToken.uid,
+    email: decodedToken.email || null,
+    // Set with admin.auth().setCustomUserClaims(uid, { admin: true })
+    isAdmin: decodedToken.admin === true,
+    claims: decodedToken
+  };
+}
+
+/**
+ * Require a valid Firebase ID token.
+ * A userId in the body or query must match the token's uid - only admins
+ * may act on behalf of another user.
+ */
+async function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    req.user = await decodeUser(token);
+  } catch (error) {
+    console.error('🔐 Invalid ID token:', error.code || error.message);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const claimedUserId = req.body?.userId || req.query?.userId;
+  if (claimedUserId && claimedUserId !== req.user.uid && !req.user.isAdmin) {
+    console.log(`🚫 User ${req.user.uid} tried to act as ${claimedUserId}`);
+    return res.status(403).json({ error: 'userId does not match authenticated user' });
+  }
+
+  next();
+}
+
+// Attach req.user when a valid token is sent, but allow anonymous calls
+async function optionalAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = await decodeUser(token);
+  } catch (error) {
+    console.error('🔐 Ignoring invalid ID token:', error.code || error.message);
+  }
+
+  next();
+}
+
+// Use after requireAuth
+function requireAdmin(req, res, next) {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// The user a request acts on: an admin may pass another userId, everyone else gets their own
+function targetUserId(req) {
+  return (req.user.isAdmin && (req.body?.userId || req.query?.userId)) || req.user.uid;
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireAdmin,
+  targetUserId
+};
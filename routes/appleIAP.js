@@ -2,8 +2,15 @@ const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
 const axios = require('axios');
+const { createAppleJwsVerifier } = require('../services/appleJws');
+const { ENTITLED_STATUSES, updateEntitlement } = require('../services/entitlements');
+const { requireAuth, targetUserId } = require('../middleware/auth');
+const { appAccountTokenFor, isAppAccountTokenFor, isAllowedAppleEnvironment } = require('../services/appleAccount');
 
-// Validate Apple receipt with Apple's servers
+// Verifies StoreKit 2 signed transactions against the Apple root chain
+const jwsVerifier = createAppleJwsVerifier();
+
+// Validate legacy (StoreKit 1) receipt with Apple's servers
 async function verifyReceiptWithApple(receipt, isProduction = true) {
   try {
     const endpoint = isProduction 
@@ -12,7 +19,7 @@ async function verifyReceiptWithApple(receipt, isProduction = true) {
     
     const response = await axios.post(endpoint, {
       'receipt-data': receipt,
-      'password': process.env.APPLE_SHARED_SECRET || '', // Will add after approval
+      'password': process.env.APPLE_SHARED_SECRET,
       'exclude-old-transactions': true
     });
     
@@ -30,129 +37,252 @@ async function verifyReceiptWithApple(receipt, isProduction = true) {
   }
 }
 
-// Validate Apple receipt and upgrade user
-router.post('/validate-apple-receipt', async (req, res) => {
-  try {
-    const { receipt, userId, productId, transactionId } = req.body;
+// Pull the newest subscription transaction out of a verifyReceipt response
+function latestReceiptTransaction(verificationResult) {
+  const transactions = verificationResult.latest_receipt_info || verificationResult.receipt?.in_app || [];
+  if (transactions.length === 0) return null;
+
+  const latest = transactions.reduce((best, t) =>
+    Number(t.expires_date_ms || 0) > Number(best.expires_date_ms || 0) ? t : best
+  );
+
+  return {
+    transactionId: latest.transaction_id,
+    originalTransactionId: latest.original_transaction_id,
+    productId: latest.product_id,
+    expiresDate: Number(latest.expires_date_ms) || null,
+    revocationDate: latest.cancellation_date_ms ? Number(latest.cancellation_date_ms) : null,
+    environment: verificationResult.environment || null,
+    bundleId: verificationResult.receipt?.bundle_id || null,
+    appAccountToken: latest.app_account_token || null,
+    isTrial: latest.is_trial_period === 'true'
+  };
+}
+
+class AppleVerificationError extends Error {
+  constructor(message, details = {}, status = 400) {
+    super(message);
+    this.name = 'AppleVerificationError';
+    this.status = status;
+    this.details = details;
+  }
+}
 
-    if (!receipt || !userId) {
-      return res.status(400).json({ error: 'Missing receipt or userId' });
+// A signed transaction is only proof of purchase for the account that made it.
+// Purchases without an appAccountToken (older builds) fall back to who
+// first registered the original transaction.
+async function checkTransactionOwner(userId, transaction) {
+  if (transaction.appAccountToken) {
+    if (isAppAccountTokenFor(transaction.appAccountToken, userId)) return;
+    console.error(`❌ Transaction ${transaction.transactionId} has another account's appAccountToken (user ${userId})`);
+    throw new AppleVerificationError('This purchase belongs to another account', {}, 403);
+  }
+
+  const db = admin.firestore();
+  const originalTransactionId = transaction.originalTransactionId;
+  const [owners, firstTransaction] = await Promise.all([
+    db.collection('users').where('appleOriginalTransactionId', '==', originalTransactionId).limit(5).get(),
+    db.collection('appleTransactions').doc(originalTransactionId).get()
+  ]);
+
+  const otherOwner = owners.docs.find(doc => doc.id !== userId) ||
+    (firstTransaction.exists && firstTransaction.data().userId !== userId);
+  if (otherOwner) {
+    console.error(`❌ Original transaction ${originalTransactionId} is registered to another user (user ${userId})`);
+    throw new AppleVerificationError('This purchase belongs to another account', {}, 403);
+  }
+}
+
+/**
+ * Verify a StoreKit 2 signedTransactionInfo JWS (locally) or, for older
+ * app builds, a legacy receipt (with Apple's verifyReceipt), and check it
+ * belongs to this user. Only a transaction that comes back from here may
+ * grant an entitlement.
+ * @throws {AppleVerificationError}
+ */
+async function verifyAppleTransaction(userId, { signedTransactionInfo, receipt }) {
+  if (!receipt && !signedTransactionInfo) {
+    throw new AppleVerificationError('Missing signedTransactionInfo or receipt');
+  }
+
+  let transaction;
+
+  if (signedTransactionInfo) {
+    try {
+      const payload = jwsVerifier.verify(signedTransactionInfo);
+      transaction = {
+        transactionId: payload.transactionId,
+        originalTransactionId: payload.originalTransactionId,
+        productId: payload.productId,
+        expiresDate: payload.expiresDate || null,
+        revocationDate: payload.revocationDate || null,
+        environment: payload.environment || null,
+        bundleId: payload.bundleId,
+        appAccountToken: payload.appAccountToken || null,
+        isTrial: payload.offerDiscountType === 'FREE_TRIAL'
+      };
+    } catch (error) {
+      console.error('❌ StoreKit 2 transaction verification failed:', error.message);
+      throw new AppleVerificationError('Transaction verification failed');
     }
 
-    console.log(`📱 Apple IAP purchase for user ${userId}, product: ${productId}`);
+    console.log('✅ StoreKit 2 transaction verified');
+  } else {
+    if (!process.env.APPLE_SHARED_SECRET) {
+      console.error('❌ Legacy receipt received but APPLE_SHARED_SECRET is not configured');
+      throw new AppleVerificationError('Legacy receipts are not supported, send signedTransactionInfo');
+    }
 
-    // Verify receipt with Apple (if Shared Secret is available)
-    let verificationResult = null;
-    
-    if (process.env.APPLE_SHARED_SECRET) {
-      verificationResult = await verifyReceiptWithApple(receipt);
-      
-      if (!verificationResult || verificationResult.status !== 0) {
-        console.error('❌ Apple receipt verification failed:', verificationResult?.status);
-        return res.status(400).json({ 
-          error: 'Receipt verification failed',
-          status: verificationResult?.status 
-        });
-      }
-      
-      console.log('✅ Apple receipt verified');
-    } else {
-      console.log('⚠️ No Shared Secret - trusting client (will add validation after approval)');
+    const verificationResult = await verifyReceiptWithApple(receipt);
+
+    if (!verificationResult || verificationResult.status !== 0) {
+      console.error('❌ Apple receipt verification failed:', verificationResult?.status);
+      throw new AppleVerificationError('Receipt verification failed', { status: verificationResult?.status });
     }
-    
+
+    transaction = latestReceiptTransaction(verificationResult);
+    if (!transaction) {
+      throw new AppleVerificationError('Receipt contains no transactions');
+    }
+
+    console.log('✅ Apple receipt verified');
+  }
+
+  // Receipts and JWS both name the bundle; a missing one is a mismatch too
+  if (process.env.APPLE_BUNDLE_ID && transaction.bundleId !== process.env.APPLE_BUNDLE_ID) {
+    console.error('❌ Transaction for unexpected bundleId:', transaction.bundleId);
+    throw new AppleVerificationError('Transaction verification failed');
+  }
+
+  if (!isAllowedAppleEnvironment(transaction.environment)) {
+    console.error(`❌ ${transaction.environment} transaction rejected in production`);
+    throw new AppleVerificationError('Transaction verification failed');
+  }
+
+  if (transaction.revocationDate) {
+    throw new AppleVerificationError('Transaction has been revoked or refunded');
+  }
+
+  if (!transaction.expiresDate || transaction.expiresDate <= Date.now()) {
+    throw new AppleVerificationError('Subscription has expired', { expired: true });
+  }
+
+  await checkTransactionOwner(userId, transaction);
+
+  return transaction;
+}
+
+function subscriptionTypeFor(productId) {
+  return productId.includes('yearly') ? 'yearly' : 'monthly';
+}
+
+// Entitlement from a verified transaction - the expiry is always Apple's
+function grantAppleEntitlement(userId, transaction, extraFields = {}) {
+  const expiryDate = new Date(transaction.expiresDate);
+
+  return updateEntitlement(userId, 'apple', {
+    status: transaction.isTrial ? 'trial' : 'active',
+    plan: subscriptionTypeFor(transaction.productId),
+    expiresAt: expiryDate,
+    isTrial: transaction.isTrial
+  }, {
+    appleProductId: transaction.productId,
+    appleOriginalTransactionId: transaction.originalTransactionId,
+    appleEnvironment: transaction.environment,
+    // Lets server notifications find the user by the purchase's appAccountToken
+    appleAppAccountToken: appAccountTokenFor(userId),
+    appleSubscriptionExpiry: admin.firestore.Timestamp.fromDate(expiryDate),
+    lastAppleReceiptValidation: admin.firestore.FieldValue.serverTimestamp(),
+    ...extraFields
+  });
+}
+
+function sendVerificationError(res, error) {
+  res.status(error.status).json({ error: error.message, ...error.details });
+}
+
+// Validate Apple purchase and upgrade user
+// Accepts a StoreKit 2 signedTransactionInfo JWS (verified locally) or,
+// for older app builds, a legacy receipt verified with Apple's verifyReceipt.
+router.post('/validate-apple-receipt', requireAuth, async (req, res) => {
+  try {
+    const { receipt, signedTransactionInfo } = req.body;
+    const userId = targetUserId(req);
+
+    const transaction = await verifyAppleTransaction(userId, { receipt, signedTransactionInfo });
+    const { transactionId, originalTransactionId, productId, environment } = transaction;
+
+    console.log(`📱 Apple IAP purchase for user ${userId}, product: ${productId} (${environment})`);
+
     // Check if transaction already processed (prevent duplicate upgrades)
-    if (transactionId) {
-      const existingTransaction = await admin.firestore()
-        .collection('appleTransactions')
-        .doc(transactionId)
-        .get();
-      
-      if (existingTransaction.exists) {
-        console.log('⚠️ Transaction already processed:', transactionId);
-        return res.json({ 
-          success: true, 
-          message: 'Transaction already processed',
-          alreadyProcessed: true 
-        });
-      }
-      
-      // Store transaction to prevent duplicates
-      await admin.firestore()
-        .collection('appleTransactions')
-        .doc(transactionId)
-        .set({
-          userId: userId,
-          productId: productId,
-          processedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+    const transactionRef = admin.firestore().collection('appleTransactions').doc(transactionId);
+    const existingTransaction = await transactionRef.get();
+
+    if (existingTransaction.exists) {
+      console.log('⚠️ Transaction already processed:', transactionId);
+      return res.json({
+        success: true,
+        message: 'Transaction already processed',
+        alreadyProcessed: true
+      });
     }
-    
-    // Determine subscription type and expiry
-    const isYearly = productId.includes('yearly');
-    const subscriptionType = isYearly ? 'yearly' : 'monthly';
-    
-    // Calculate expiry date (Apple handles actual renewal)
-    const expiryDate = new Date();
-    expiryDate.setMonth(expiryDate.getMonth() + (isYearly ? 12 : 1));
-    
-    // Update user in Firebase
-    await admin.firestore().collection('users').doc(userId).update({
-      isPremium: true,
-      subscriptionType: subscriptionType,
-      subscriptionPlatform: 'apple',
-      appleSubscriptionDate: admin.firestore.FieldValue.serverTimestamp(),
-      appleProductId: productId,
-      appleSubscriptionExpiry: admin.firestore.Timestamp.fromDate(expiryDate),
-      lastAppleReceiptValidation: admin.firestore.FieldValue.serverTimestamp()
+
+    // Store transaction to prevent duplicates
+    await transactionRef.set({
+      userId: userId,
+      productId: productId,
+      originalTransactionId: originalTransactionId,
+      environment: environment,
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Update user entitlement in Firebase (expiry comes from Apple's signed data)
+    const entitlement = await grantAppleEntitlement(userId, transaction, {
+      appleSubscriptionDate: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    const subscriptionType = subscriptionTypeFor(productId);
     console.log(`✅ User ${userId} upgraded to ${subscriptionType} via Apple IAP`);
 
     res.json({ 
       success: true, 
       message: 'User upgraded successfully',
-      isPremium: true,
-      subscriptionType: subscriptionType
+      isPremium: entitlement.tier !== 'free',
+      subscriptionType: subscriptionType,
+      expiresAt: new Date(transaction.expiresDate).toISOString(),
+      entitlement
     });
 
   } catch (error) {
+    if (error instanceof AppleVerificationError) {
+      return sendVerificationError(res, error);
+    }
     console.error('❌ Apple receipt validation error:', error);
     res.status(500).json({ error: 'Validation failed', details: error.message });
   }
 });
 
 // Restore Apple subscription
-router.post('/restore-apple-subscription', async (req, res) => {
+// Needs the restored transaction's signedTransactionInfo (or a legacy receipt);
+// the client's product list alone no longer grants anything.
+router.post('/restore-apple-subscription', requireAuth, async (req, res) => {
   try {
-    const { userId, products } = req.body;
-
-    if (!userId || !products) {
-      return res.status(400).json({ error: 'Missing userId or products' });
-    }
+    const { signedTransactionInfo, receipt } = req.body;
+    const userId = targetUserId(req);
 
     console.log(`🔄 Restoring subscription for user ${userId}`);
-    console.log('Products:', products);
 
-    // Find the most recent/best subscription
-    const activeProducts = products.filter(p => p.owned);
-    
-    if (activeProducts.length === 0) {
-      console.log('⚠️ No active products found for restore');
-      return res.json({ success: false, message: 'No active subscriptions found' });
+    if (!signedTransactionInfo && !receipt) {
+      console.log('⚠️ Restore without a signed transaction or receipt - entitlement unchanged');
+      return res.status(400).json({
+        success: false,
+        error: 'Send the restored transaction as signedTransactionInfo (or a receipt)'
+      });
     }
 
-    // Prioritize yearly over monthly
-    const bestProduct = activeProducts.find(p => p.id.includes('yearly')) || activeProducts[0];
-    const subscriptionType = bestProduct.id.includes('yearly') ? 'yearly' : 'monthly';
-
-    // Update user in Firebase
-    await admin.firestore().collection('users').doc(userId).update({
-      isPremium: true,
-      subscriptionType: subscriptionType,
-      subscriptionPlatform: 'apple',
-      appleProductId: bestProduct.id,
-      appleSubscriptionRestored: admin.firestore.FieldValue.serverTimestamp(),
-      lastAppleReceiptValidation: admin.firestore.FieldValue.serverTimestamp()
+    const transaction = await verifyAppleTransaction(userId, { signedTransactionInfo, receipt });
+    const entitlement = await grantAppleEntitlement(userId, transaction, {
+      appleSubscriptionRestored: admin.firestore.FieldValue.serverTimestamp()
     });
 
     console.log(`✅ Subscription restored for user ${userId}`);
@@ -160,87 +290,97 @@ router.post('/restore-apple-subscription', async (req, res) => {
     res.json({ 
       success: true, 
       message: 'Subscription restored successfully',
-      subscriptionType: subscriptionType
+      subscriptionType: subscriptionTypeFor(transaction.productId),
+      expiresAt: new Date(transaction.expiresDate).toISOString(),
+      entitlement
     });
 
   } catch (error) {
+    if (error instanceof AppleVerificationError) {
+      console.log(`⚠️ Restore not verified: ${error.message} - entitlement unchanged`);
+      return sendVerificationError(res, error);
+    }
     console.error('❌ Restore subscription error:', error);
     res.status(500).json({ error: 'Restore failed', details: error.message });
   }
 });
 
 // Sync Apple subscription status (called on app load)
-router.post('/sync-apple-subscription', async (req, res) => {
+// Only a verified signedTransactionInfo/receipt can extend access; without
+// one the stored, Apple-verified expiry decides.
+router.post('/sync-apple-subscription', requireAuth, async (req, res) => {
   try {
-    const { userId, subscriptions } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing userId' });
-    }
+    const { signedTransactionInfo, receipt } = req.body;
+    const userId = targetUserId(req);
 
     console.log(`🔄 Syncing Apple subscription for user ${userId}`);
 
     // Get user's current status
     const userDoc = await admin.firestore().collection('users').doc(userId).get();
     const userData = userDoc.data();
+    const appleEntitlement = userData?.entitlements?.apple;
+    const appleEntitled = appleEntitlement
+      ? ENTITLED_STATUSES.includes(appleEntitlement.status)
+      : userData?.subscriptionPlatform === 'apple' && userData?.isPremium;
+
+    if (signedTransactionInfo || receipt) {
+      let transaction;
+      try {
+        transaction = await verifyAppleTransaction(userId, { signedTransactionInfo, receipt });
+      } catch (error) {
+        if (!(error instanceof AppleVerificationError)) throw error;
+        console.log(`⚠️ Sync for ${userId} not verified: ${error.message} - entitlement unchanged`);
+        return res.json({ success: false, updated: false, error: error.message, ...error.details });
+      }
 
-    // Check if user has active Apple subscriptions on device
-    const hasActiveSubscription = subscriptions && subscriptions.length > 0;
+      const expiresAt = new Date(transaction.expiresDate).toISOString();
 
-    if (hasActiveSubscription) {
-      // User has active subscription on device
-      const bestSub = subscriptions.find(s => s.id.includes('yearly')) || subscriptions[0];
-      const subscriptionType = bestSub.id.includes('yearly') ? 'yearly' : 'monthly';
+      // Only update if not already entitled via Apple or if the subscription changed
+      if (!appleEntitled || userData?.appleProductId !== transaction.productId || appleEntitlement?.expiresAt !== expiresAt) {
+        await grantAppleEntitlement(userId, transaction);
 
-      // Only update if not already premium or if subscription changed
-      if (!userData?.isPremium || userData?.appleProductId !== bestSub.id) {
-        await admin.firestore().collection('users').doc(userId).update({
-          isPremium: true,
+        const subscriptionType = subscriptionTypeFor(transaction.productId);
+        console.log(`✅ User ${userId} synced to premium (${subscriptionType})`);
+
+        return res.json({ 
+          success: true, 
+          updated: true,
           subscriptionType: subscriptionType,
-          subscriptionPlatform: 'apple',
-          appleProductId: bestSub.id,
-          lastAppleReceiptValidation: admin.firestore.FieldValue.serverTimestamp()
+          expiresAt
         });
+      }
 
-        console.log(`✅ User ${userId} synced to premium (${subscriptionType})`);
+      console.log(`✅ User ${userId} already premium, no update needed`);
+      return res.json({ success: true, updated: false });
+    }
+
+    // Nothing verified from the device - check if the stored Apple expiry has passed
+    if (appleEntitled && userData?.appleSubscriptionExpiry) {
+      const expiryDate = userData.appleSubscriptionExpiry.toDate();
+      const now = new Date();
+      
+      if (now > expiryDate) {
+        // Subscription expired - drop the Apple entitlement
+        const entitlement = await updateEntitlement(userId, 'apple', {
+          status: 'expired',
+          plan: appleEntitlement?.plan,
+          expiresAt: expiryDate
+        }, {
+          appleSubscriptionExpired: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        console.log(`⚠️ User ${userId} Apple subscription expired - entitlement: ${entitlement.tier}`);
         
         return res.json({ 
           success: true, 
           updated: true,
-          subscriptionType: subscriptionType
+          expired: true
         });
-      } else {
-        console.log(`✅ User ${userId} already premium, no update needed`);
-        return res.json({ success: true, updated: false });
-      }
-    } else {
-      // No active subscriptions on device
-      // Check if user's Firebase subscription is expired
-      if (userData?.subscriptionPlatform === 'apple' && userData?.appleSubscriptionExpiry) {
-        const expiryDate = userData.appleSubscriptionExpiry.toDate();
-        const now = new Date();
-        
-        if (now > expiryDate) {
-          // Subscription expired - downgrade user
-          await admin.firestore().collection('users').doc(userId).update({
-            isPremium: false,
-            subscriptionType: 'free',
-            appleSubscriptionExpired: admin.firestore.FieldValue.serverTimestamp()
-          });
-          
-          console.log(`⚠️ User ${userId} subscription expired - downgraded to free`);
-          
-          return res.json({ 
-            success: true, 
-            updated: true,
-            expired: true
-          });
-        }
       }
-      
-      console.log(`✅ User ${userId} - no active Apple subscriptions found`);
-      return res.json({ success: true, updated: false });
     }
+    
+    console.log(`✅ User ${userId} - no verified Apple subscription to sync`);
+    return res.json({ success: true, updated: false });
 
   } catch (error) {
     console.error('❌ Sync subscription error:', error);
@@ -249,27 +389,25 @@ router.post('/sync-apple-subscription', async (req, res) => {
 });
 
 // Handle subscription expiration
-router.post('/apple-subscription-expired', async (req, res) => {
+router.post('/apple-subscription-expired', requireAuth, async (req, res) => {
   try {
-    const { userId, productId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing userId' });
-    }
+    const { productId } = req.body;
+    const userId = targetUserId(req);
 
     console.log(`⏰ Subscription expired for user ${userId}, product: ${productId}`);
 
-    // Downgrade user to free
-    await admin.firestore().collection('users').doc(userId).update({
-      isPremium: false,
-      subscriptionType: 'free',
+    // Drop the Apple entitlement (a Stripe subscription may still apply)
+    const entitlement = await updateEntitlement(userId, 'apple', {
+      status: 'expired',
+      expiresAt: new Date()
+    }, {
       appleSubscriptionExpired: admin.firestore.FieldValue.serverTimestamp(),
-      previousAppleProductId: productId
+      previousAppleProductId: productId || null
     });
 
-    console.log(`✅ User ${userId} downgraded to free`);
+    console.log(`✅ User ${userId} Apple subscription expired - entitlement: ${entitlement.tier}`);
 
-    res.json({ success: true, message: 'User downgraded' });
+    res.json({ success: true, message: 'User downgraded', entitlement });
 
   } catch (error) {
     console.error('❌ Handle expiration error:', error);
@@ -0,0 +1,253 @@
+const express = require('express');
+const admin = require('firebase-admin');
+const { AppleJwsError, createAppleJwsVerifier } = require('../services/appleJws');
+const { updateEntitlement } = require('../services/entitlements');
+const { recordWebhookEvent } = require('../services/metrics');
+const { isAllowedAppleEnvironment } = require('../services/appleAccount');
+
+// =====================================================
+// 🍎 APP STORE SERVER NOTIFICATIONS V2
+// Apple calls this server-to-server when a subscription renews,
+// expires, is refunded, etc. - even when the app is closed.
+// Mounted BEFORE the general rate limiter (must receive all).
+// =====================================================
+
+function msToTimestamp(ms) {
+  return ms ? admin.firestore.Timestamp.fromMillis(Number(ms)) : null;
+}
+
+// Find the user who owns an Apple subscription
+async function findUserIdForTransaction(transaction) {
+  const db = admin.firestore();
+  const originalTransactionId = transaction.originalTransactionId;
+
+  // Purchases made with our appAccountToken name their account directly
+  if (transaction.appAccountToken) {
+    const tokenSnapshot = await db.collection('users')
+      .where('appleAppAccountToken', '==', transaction.appAccountToken.toLowerCase())
+      .limit(1)
+      .get();
+
+    if (!tokenSnapshot.empty) {
+      return tokenSnapshot.docs[0].id;
+    }
+  }
+
+  if (!originalTransactionId) return null;
+
+  const userSnapshot = await db.collection('users')
+    .where('appleOriginalTransactionId', '==', originalTransactionId)
+    .limit(1)
+    .get();
+
+  if (!userSnapshot.empty) {
+    return userSnapshot.docs[0].id;
+  }
+
+  // The first purchase's transactionId is the originalTransactionId,
+  // and /validate-apple-receipt records every transaction it processes
+  const transactionDoc = await db.collection('appleTransactions')
+    .doc(originalTransactionId)
+    .get();
+
+  return transactionDoc.exists ? transactionDoc.data().userId : null;
+}
+
+// Map a notification onto an Apple entitlement state + Apple-specific user fields
+function buildEntitlementChange(notificationType, subtype, transaction, renewalInfo) {
+  const fields = {
+    appleOriginalTransactionId: transaction.originalTransactionId,
+    appleProductId: transaction.productId,
+    lastAppleNotificationType: subtype ? `${notificationType}:${subtype}` : notificationType,
+    lastAppleNotificationAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  const state = {
+    plan: transaction.productId && transaction.productId.includes('yearly') ? 'yearly' : 'monthly',
+    expiresAt: transaction.expiresDate ? new Date(transaction.expiresDate) : null,
+    isTrial: transaction.offerDiscountType === 'FREE_TRIAL'
+  };
+
+  const revokedAt = msToTimestamp(transaction.revocationDate) ||
+    admin.firestore.FieldValue.serverTimestamp();
+
+  switch (notificationType) {
+    case 'DID_RENEW':
+      return {
+        state: { ...state, status: 'active', isTrial: false },
+        fields: {
+          ...fields,
+          appleSubscriptionExpiry: msToTimestamp(transaction.expiresDate),
+          appleBillingRetry: false,
+          appleGracePeriodExpiry: admin.firestore.FieldValue.delete()
+        }
+      };
+
+    case 'DID_FAIL_TO_RENEW':
+      // GRACE_PERIOD: Apple keeps the user entitled while it retries billing
+      if (subtype === 'GRACE_PERIOD') {
+        return {
+          state: {
+            ...state,
+            status: 'grace',
+            gracePeriodEndsAt: renewalInfo?.gracePeriodExpiresDate
+              ? new Date(renewalInfo.gracePeriodExpiresDate)
+              : null
+          },
+          fields: {
+            ...fields,
+            appleBillingRetry: true,
+            appleGracePeriodExpiry: msToTimestamp(renewalInfo?.gracePeriodExpiresDate)
+          }
+        };
+      }
+      return {
+        state: { ...state, status: 'billing_retry' },
+        fields: { ...fields, appleBillingRetry: true }
+      };
+
+    case 'EXPIRED':
+      return {
+        state: { ...state, status: 'expired' },
+        fields: {
+          ...fields,
+          previousAppleProductId: transaction.productId,
+          appleSubscriptionExpired: admin.firestore.FieldValue.serverTimestamp()
+        }
+      };
+
+    case 'GRACE_PERIOD_EXPIRED':
+      return {
+        state: { ...state, status: 'expired' },
+        fields: {
+          ...fields,
+          previousAppleProductId: transaction.productId,
+          appleBillingRetry: false,
+          appleGracePeriodExpiry: admin.firestore.FieldValue.delete(),
+          appleSubscriptionExpired: admin.firestore.FieldValue.serverTimestamp()
+        }
+      };
+
+    case 'REFUND':
+      return {
+        state: { ...state, status: 'refunded' },
+        fields: { ...fields, previousAppleProductId: transaction.productId, appleRefundedAt: revokedAt }
+      };
+
+    case 'REVOKE':
+      return {
+        state: { ...state, status: 'revoked' },
+        fields: { ...fields, previousAppleProductId: transaction.productId, appleRevokedAt: revokedAt }
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {{ verify: Function }} [options.verifier] - JWS verifier; inject one built
+ *   with locally generated certs for testing.
+ */
+function createAppleNotificationsRouter(options = {}) {
+  const router = express.Router();
+  const verifier = options.verifier || createAppleJwsVerifier();
+
+  router.post('/apple-notifications', express.json(), async (req, res) => {
+    const { signedPayload } = req.body || {};
+
+    if (!signedPayload) {
+      return res.status(400).json({ error: 'Missing signedPayload' });
+    }
+
+    let notification, transaction, renewalInfo;
+
+    try {
+      notification = verifier.verify(signedPayload);
+
+      const data = notification.data || {};
+      transaction = data.signedTransactionInfo ? verifier.verify(data.signedTransactionInfo) : {};
+      renewalInfo = data.signedRenewalInfo ? verifier.verify(data.signedRenewalInfo) : null;
+
+      if (process.env.APPLE_BUNDLE_ID && data.bundleId !== process.env.APPLE_BUNDLE_ID) {
+        throw new AppleJwsError(`Unexpected bundleId: ${data.bundleId}`);
+      }
+    } catch (error) {
+      console.error('❌ Apple notification verification failed:', error.message);
+      recordWebhookEvent('apple', 'unknown', 'invalid_signature');
+      return res.status(400).json({ error: 'Invalid signed payload' });
+    }
+
+    const { notificationType, subtype, notificationUUID } = notification;
+
+    if (typeof notificationUUID !== 'string' || !notificationUUID || notificationUUID.includes('/')) {
+      console.error('❌ Apple notification without a notificationUUID');
+      recordWebhookEvent('apple', notificationType, 'invalid');
+      return res.status(400).json({ error: 'Missing notificationUUID' });
+    }
+
+    console.log(`🍎 Apple notification: ${notificationType}${subtype ? `:${subtype}` : ''} (${notificationUUID})`);
+
+    // Sandbox notifications must not touch production entitlements; 200 stops Apple retrying
+    const environment = notification.data?.environment || null;
+    if (!isAllowedAppleEnvironment(environment)) {
+      console.log(`⚠️ Ignoring ${environment} Apple notification ${notificationUUID}`);
+      recordWebhookEvent('apple', notificationType, 'wrong_environment');
+      return res.json({ received: true, ignored: true });
+    }
+
+    try {
+      const db = admin.firestore();
+      const notificationRef = db.collection('appleNotifications').doc(notificationUUID);
+
+      // Apple retries until it gets a 200 - only apply each notification once
+      const existingNotification = await notificationRef.get();
+      if (existingNotification.exists) {
+        console.log('⚠️ Apple notification already processed:', notificationUUID);
+        recordWebhookEvent('apple', notificationType, 'duplicate');
+        return res.json({ received: true, alreadyProcessed: true });
+      }
+
+      const change = buildEntitlementChange(notificationType, subtype, transaction, renewalInfo);
+      const userId = change ? await findUserIdForTransaction(transaction) : null;
+
+      // Not recorded as processed: the purchase may not be linked to a user yet
+      // (the app validates it after this arrives), so let Apple retry
+      if (change && !userId) {
+        console.error('No user found for Apple transaction:', transaction.originalTransactionId);
+        recordWebhookEvent('apple', notificationType, 'no_user');
+        return res.status(404).json({ error: 'No user for this transaction yet' });
+      }
+
+      if (change) {
+        const entitlement = await updateEntitlement(userId, 'apple', change.state, change.fields);
+        console.log(`✅ User ${userId} updated from Apple ${notificationType} - entitlement: ${entitlement.tier}`);
+      } else {
+        console.log(`Unhandled Apple notification type: ${notificationType}`);
+      }
+
+      await notificationRef.set({
+        notificationType,
+        subtype: subtype || null,
+        originalTransactionId: transaction.originalTransactionId || null,
+        environment,
+        userId: userId || null,
+        applied: !!change,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      recordWebhookEvent('apple', notificationType, change ? 'handled' : 'ignored');
+      res.json({ received: true });
+    } catch (error) {
+      // Non-2xx makes Apple retry later
+      console.error(`Error processing Apple notification ${notificationType}:`, error);
+      recordWebhookEvent('apple', notificationType, 'error');
+      res.status(500).json({ error: 'Notification processing failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAppleNotificationsRouter;
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  MemoryError,
+  createMemory,
+  getMemory,
+  listMemories,
+  updateMemory,
+  deleteMemory
+} = require('../services/dateMemories');
+
+// =====================================================
+// 💞 DATE MEMORIES
+// The signed-in user's scrapbook entries. Photos are uploaded first
+// (POST /api/upload-photo) and attached by id.
+// =====================================================
+
+// Responses carry signed photo URLs - never cache them
+router.use('/memories', (req, res, next) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+});
+
+function sendError(res, error, message) {
+  if (error instanceof MemoryError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// ?limit=20&cursor=<id of the last memory on the previous page>
+router.get('/memories', requireAuth, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    res.json(await listMemories(req.user.uid, { limit, cursor }));
+  } catch (error) {
+    sendError(res, error, 'Failed to load memories');
+  }
+});
+
+router.post('/memories', requireAuth, async (req, res) => {
+  try {
+    const memory = await createMemory(req.user.uid, req.body);
+
+    console.log(`💞 Memory ${memory.id} created by ${req.user.uid} (${memory.photos.length} photos)`);
+    res.status(201).json(memory);
+  } catch (error) {
+    sendError(res, error, 'Failed to create memory');
+  }
+});
+
+router.get('/memories/:memoryId', requireAuth, async (req, res) => {
+  try {
+    res.json(await getMemory(req.user.uid, req.params.memoryId));
+  } catch (error) {
+    sendError(res, error, 'Failed to load memory');
+  }
+});
+
+router.patch('/memories/:memoryId', requireAuth, async (req, res) => {
+  try {
+    res.json(await updateMemory(req.user.uid, req.params.memoryId, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update memory');
+  }
+});
+
+// Also deletes the memory's photos from Storage
+router.delete('/memories/:memoryId', requireAuth, async (req, res) => {
+  try {
+    const { deletedPhotos } = await deleteMemory(req.user.uid, req.params.memoryId);
+
+    console.log(`🗑️ Memory ${req.params.memoryId} deleted by ${req.user.uid} (${deletedPhotos} photos removed)`);
+    res.json({ success: true, deletedPhotos });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete memory');
+  }
+});
+
+module.exports = router;
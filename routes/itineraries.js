@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { quotaLimiter } = require('../services/quotas');
+const { ITINERARY_TEMPLATES, DEFAULT_WINDOW_HOURS, buildItineraries } = require('../services/itineraries');
+const { withPhotoTokens } = require('../services/photoTokens');
+
+// =====================================================
+// 🗓️ DATE ITINERARIES
+// Counts against the same daily quota as /api/places
+// =====================================================
+
+const MAX_WINDOW_HOURS = 12;
+const MAX_ALTERNATIVES = 5;
+
+// Round up to the next quarter hour so "now" requests share event cache keys
+function nextQuarterHour(date = new Date()) {
+  const quarter = 15 * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / quarter) * quarter);
+}
+
+router.post('/itineraries', optionalAuth, quotaLimiter('places'), async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { lat, lng, radius, startTime: windowStartInput, endTime, templates, maxLegKm, alternatives } = req.body;
+
+    if (lat === undefined || lng === undefined) {
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+
+    const windowStart = windowStartInput ? new Date(windowStartInput) : nextQuarterHour();
+    const windowEnd = endTime
+      ? new Date(endTime)
+      : new Date(windowStart.getTime() + DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+
+    if (isNaN(windowStart) || isNaN(windowEnd)) {
+      return res.status(400).json({ error: 'startTime and endTime must be ISO 8601 dates' });
+    }
+
+    if (windowEnd <= windowStart || windowEnd - windowStart > MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Time window must be between 0 and ${MAX_WINDOW_HOURS} hours` });
+    }
+
+    if (templates !== undefined && !Array.isArray(templates)) {
+      return res.status(400).json({ error: 'templates must be an array' });
+    }
+
+    const unknownTemplate = (templates || []).find(name => !ITINERARY_TEMPLATES[name]);
+    if (unknownTemplate) {
+      return res.status(400).json({
+        error: `Unknown template: ${unknownTemplate}`,
+        templates: Object.keys(ITINERARY_TEMPLATES)
+      });
+    }
+
+    console.log(`\n🗓️ Building itineraries near (${lat}, ${lng}) ${windowStart.toISOString()} → ${windowEnd.toISOString()}`);
+
+    const itineraries = await buildItineraries({
+      lat,
+      lng,
+      radius,
+      windowStart,
+      windowEnd,
+      templates,
+      maxLegKm,
+      maxAlternatives: Math.min(parseInt(alternatives, 10) || 3, MAX_ALTERNATIVES)
+    });
+
+    console.log(`✅ Built ${itineraries.length} itineraries in ${Date.now() - startTime}ms`);
+
+    res.json({
+      window: { startAt: windowStart.toISOString(), endAt: windowEnd.toISOString() },
+      itineraries: itineraries.map(itinerary => ({
+        ...itinerary,
+        stops: itinerary.stops.map(stop => ({ ...stop, place: withPhotoTokens(stop.place) }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error building itineraries:', error.message);
+    res.status(500).json({
+      error: 'Failed to build itineraries',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { getEntitlement } = require('../services/entitlements');
+const { getQuota } = require('../services/quotas');
+const { getStorageUsage } = require('../services/storageQuota');
+const { appAccountTokenFor } = require('../services/appleAccount');
+const { requireAuth } = require('../middleware/auth');
+
+// =====================================================
+// 🙋 CURRENT USER (read-only views for the clients)
+// =====================================================
+
+// Unified subscription entitlement across Stripe and Apple
+router.get('/me/entitlements', requireAuth, async (req, res) => {
+  try {
+    const entitlement = await getEntitlement(req.user.uid);
+    res.json(entitlement);
+  } catch (error) {
+    console.error('❌ Entitlements lookup error:', error);
+    res.status(500).json({ error: 'Failed to load entitlements', message: error.message });
+  }
+});
+
+// Remaining daily quotas for the signed-in user's tier
+router.get('/me/quota', requireAuth, async (req, res) => {
+  try {
+    const places = await getQuota('places', req);
+
+    res.setHeader('X-Quota-Remaining', places.remaining);
+    res.json({
+      tier: places.tier,
+      quotas: { places }
+    });
+  } catch (error) {
+    console.error('❌ Quota lookup error:', error);
+    res.status(500).json({ error: 'Failed to load quota', message: error.message });
+  }
+});
+
+// Scrapbook storage used vs the tier's limit
+router.get('/me/storage', requireAuth, async (req, res) => {
+  try {
+    res.json(await getStorageUsage(req.user.uid));
+  } catch (error) {
+    console.error('❌ Storage usage lookup error:', error);
+    res.status(500).json({ error: 'Failed to load storage usage', message: error.message });
+  }
+});
+
+// Pass to StoreKit's purchase(options: [.appAccountToken(...)]) so the
+// signed transaction is bound to this account
+router.get('/me/apple-account-token', requireAuth, (req, res) => {
+  res.json({ appAccountToken: appAccountTokenFor(req.user.uid) });
+});
+
+module.exports = router;
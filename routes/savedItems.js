@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  SavedItemError,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  saveItem,
+  removeItem,
+  listItems,
+  refreshItem
+} = require('../services/savedItems');
+const { PlaceSnapshotError } = require('../services/placeSnapshots');
+const { UpstreamBudgetError } = require('../services/usage');
+const { quotaLimiter } = require('../services/quotas');
+
+// =====================================================
+// ⭐ SAVED PLACES + EVENTS
+// Items are keyed by DateMakerPlace id ("google:ChIJ...",
+// "ticketmaster:...") and filed into the user's collections.
+// =====================================================
+
+router.use('/saved', (req, res, next) => {
+  // Item snapshots carry signed photo URLs
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+});
+
+function sendError(res, error, message) {
+  if (error instanceof SavedItemError || error instanceof PlaceSnapshotError || error instanceof UpstreamBudgetError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// =====================================================
+// COLLECTIONS
+// =====================================================
+
+router.get('/saved/collections', requireAuth, async (req, res) => {
+  try {
+    res.json({ collections: await listCollections(req.user.uid) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load collections');
+  }
+});
+
+router.post('/saved/collections', requireAuth, async (req, res) => {
+  try {
+    res.status(201).json(await createCollection(req.user.uid, req.body.name));
+  } catch (error) {
+    sendError(res, error, 'Failed to create collection');
+  }
+});
+
+router.patch('/saved/collections/:collectionId', requireAuth, async (req, res) => {
+  try {
+    res.json(await renameCollection(req.user.uid, req.params.collectionId, req.body.name));
+  } catch (error) {
+    sendError(res, error, 'Failed to rename collection');
+  }
+});
+
+// Items saved only in this collection are unsaved
+router.delete('/saved/collections/:collectionId', requireAuth, async (req, res) => {
+  try {
+    const { removedItems } = await deleteCollection(req.user.uid, req.params.collectionId);
+    res.json({ success: true, removedItems });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete collection');
+  }
+});
+
+// =====================================================
+// ITEMS
+// =====================================================
+
+// ?collectionId=&limit=20&cursor=<id of the last item on the previous page>
+router.get('/saved/items', requireAuth, async (req, res) => {
+  try {
+    const { collectionId, limit, cursor } = req.query;
+    res.json(await listItems(req.user.uid, { collectionId, limit, cursor }));
+  } catch (error) {
+    sendError(res, error, 'Failed to load saved items');
+  }
+});
+
+// Body: { collectionIds?, note?, place? } - place (the v2 result) is only needed for events
+// from providers we can't look up; everything else is fetched server-side, so saving
+// counts against the /api/places quota
+router.put('/saved/items/:placeId', requireAuth, quotaLimiter('places'), async (req, res) => {
+  try {
+    const { place, collectionIds, note } = req.body;
+    const item = await saveItem(req.user.uid, req.params.placeId, { place, collectionIds, note });
+
+    console.log(`⭐ ${req.user.uid} saved ${item.id} to ${item.collectionIds.join(', ')}`);
+    res.json(item);
+  } catch (error) {
+    sendError(res, error, 'Failed to save item');
+  }
+});
+
+// ?collectionId= removes it from one collection only
+router.delete('/saved/items/:placeId', requireAuth, async (req, res) => {
+  try {
+    const removed = await removeItem(req.user.uid, req.params.placeId, req.query.collectionId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Saved item not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove saved item');
+  }
+});
+
+// Re-snapshot a Google place from Place Details
+router.post('/saved/items/:placeId/refresh', requireAuth, quotaLimiter('places'), async (req, res) => {
+  try {
+    res.json(await refreshItem(req.user.uid, req.params.placeId));
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh saved item');
+  }
+});
+
+module.exports = router;
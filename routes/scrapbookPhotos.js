@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  getPhotoForUser,
+  deletePhotoForUser,
+  findPhotoByLegacyUrl,
+  migratePublicUploads
+} = require('../services/scrapbookPhotos');
+const { getStorageUsage } = require('../services/storageQuota');
+
+// =====================================================
+// 🔒 SCRAPBOOK PHOTO ACCESS
+// Short-lived signed URLs for the owner or their linked partner.
+// =====================================================
+
+const MAX_BATCH = 50;
+
+// Signed URLs are per-user and short-lived - never cache the JSON
+function noStore(req, res, next) {
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+}
+
+// Old clients stored public URLs - swap one for a signed URL
+router.get('/photos/resolve', requireAuth, noStore, async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const photo = await findPhotoByLegacyUrl(req.user, url);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.json(photo);
+  } catch (error) {
+    console.error('❌ Photo resolve error:', error);
+    res.status(500).json({ error: 'Failed to resolve photo', message: error.message });
+  }
+});
+
+router.get('/photos/:photoId', requireAuth, noStore, async (req, res) => {
+  try {
+    const photo = await getPhotoForUser(req.user, req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.json(photo);
+  } catch (error) {
+    console.error('❌ Photo URL error:', error);
+    res.status(500).json({ error: 'Failed to load photo', message: error.message });
+  }
+});
+
+// Deletes the Storage objects and frees the space; detaches it from its memory
+router.delete('/photos/:photoId', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deletePhotoForUser(req.user, req.params.photoId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    console.log(`🗑️ Photo ${req.params.photoId} deleted by ${req.user.uid}`);
+    // Admins can delete other users' photos - report the owner's usage
+    res.json({ success: true, storage: await getStorageUsage(deleted.ownerId) });
+  } catch (error) {
+    console.error('❌ Photo delete error:', error);
+    res.status(500).json({ error: 'Failed to delete photo', message: error.message });
+  }
+});
+
+// Scrapbook grids: { photoIds: [...] } → signed URLs for the visible ones
+router.post('/photos/urls', requireAuth, noStore, async (req, res) => {
+  try {
+    const { photoIds } = req.body;
+
+    if (!Array.isArray(photoIds) || photoIds.length === 0 || photoIds.length > MAX_BATCH) {
+      return res.status(400).json({ error: `photoIds must be an array of 1-${MAX_BATCH} ids` });
+    }
+
+    const ids = [...new Set(photoIds.filter(id => typeof id === 'string' && id))];
+    const photos = await Promise.all(ids.map(id => getPhotoForUser(req.user, id)));
+
+    res.json({
+      photos: photos.filter(Boolean),
+      missing: ids.filter((id, index) => !photos[index])
+    });
+  } catch (error) {
+    console.error('❌ Photo URLs error:', error);
+    res.status(500).json({ error: 'Failed to load photos', message: error.message });
+  }
+});
+
+// One page of the public → private migration; repeat with nextPageToken
+router.post('/admin/photos/migrate-public', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { pageToken, limit, dryRun } = req.body;
+
+    const result = await migratePublicUploads({
+      pageToken,
+      limit: Math.min(parseInt(limit, 10) || 100, 500),
+      dryRun: dryRun === true
+    });
+
+    console.log(`🔒 Photo migration page: ${result.migrated} migrated, ${result.private} made private, ${result.failed} failed`);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Photo migration error:', error);
+    res.status(500).json({ error: 'Migration failed', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  SharedPlanError,
+  createSharedPlan,
+  getSharedPlan,
+  recordView,
+  listSharedPlans,
+  revokeSharedPlan
+} = require('../services/sharedPlans');
+const { PlaceSnapshotError } = require('../services/placeSnapshots');
+const { UpstreamBudgetError } = require('../services/usage');
+const { quotaLimiter } = require('../services/quotas');
+
+// =====================================================
+// 🔗 SHAREABLE DATE PLANS
+// /api/shared-plans manages links; /p/:code is the short link itself,
+// a preview page with Open Graph tags that hands off to the app
+// (datemaker://plan/:code) and falls back to the web app.
+// =====================================================
+
+const WEB_APP_URL = process.env.FRONTEND_URL || 'https://www.thedatemakerapp.com';
+
+// How long to wait for the app to open before falling back to the web app
+const APP_OPEN_TIMEOUT_MS = 1500;
+
+// Where /p/:code is served - never taken from the Host header, which clients control
+const SHARE_BASE_URL = (process.env.SHARE_BASE_URL || 'https://datemaker-backend-1.onrender.com').replace(/\/+$/, '');
+
+function linksFor(code) {
+  return {
+    shareUrl: `${SHARE_BASE_URL}/p/${code}`,
+    appUrl: `datemaker://plan/${code}`,
+    webUrl: `${WEB_APP_URL}/#/plan/${code}`
+  };
+}
+
+function sendError(res, error, message) {
+  if (error instanceof SharedPlanError || error instanceof PlaceSnapshotError || error instanceof UpstreamBudgetError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// =====================================================
+// LINK MANAGEMENT
+// =====================================================
+
+// Body: { title?, note?, expiresInDays? (default 30), stops: [{ placeId, place?, role?, arriveAt?, departAt? }] }
+// place (the v2 result) is only needed for events from providers we can't look up.
+// Snapshots call Place Details, so this counts against the /api/places quota.
+router.post('/api/shared-plans', requireAuth, quotaLimiter('places'), async (req, res) => {
+  try {
+    const { title, note, stops, expiresInDays } = req.body;
+    const plan = await createSharedPlan(req.user.uid, { title, note, stops, expiresInDays });
+
+    console.log(`🔗 ${req.user.uid} shared plan ${plan.code} (${plan.stops.length} stops, expires ${plan.expiresAt})`);
+    res.status(201).json({ ...plan, ...linksFor(plan.code) });
+  } catch (error) {
+    sendError(res, error, 'Failed to share plan');
+  }
+});
+
+router.get('/api/shared-plans', requireAuth, async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'private, no-store');
+    const plans = await listSharedPlans(req.user.uid);
+    res.json({ plans: plans.map(plan => ({ ...plan, ...linksFor(plan.code) })) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load shared plans');
+  }
+});
+
+// Revoked links stop working immediately (pages are cached for a minute at most)
+router.delete('/api/shared-plans/:code', requireAuth, async (req, res) => {
+  try {
+    const plan = await revokeSharedPlan(req.user.uid, req.params.code);
+    if (!plan) {
+      return res.status(404).json({ error: 'Shared plan not found' });
+    }
+
+    console.log(`🔗 ${req.user.uid} revoked shared plan ${plan.code}`);
+    res.json({ success: true, plan });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke shared plan');
+  }
+});
+
+// Public - the app and web app render the plan from this
+router.get('/api/shared-plans/:code', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const shared = await getSharedPlan(req.params.code);
+
+    if (!shared) {
+      return res.status(404).json({ error: 'Shared plan not found' });
+    }
+    if (shared.status !== 'active') {
+      return res.status(410).json({ error: `This link has ${shared.status === 'revoked' ? 'been revoked' : 'expired'}`, status: shared.status });
+    }
+
+    recordView(req.params.code);
+    res.json({ ...shared.plan, ...linksFor(shared.plan.code) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load shared plan');
+  }
+});
+
+// =====================================================
+// PREVIEW PAGE
+// =====================================================
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function describePlan(plan) {
+  const names = plan.stops.map(stop => stop.place.name).filter(Boolean);
+  const summary = `${names.length} ${names.length === 1 ? 'stop' : 'stops'}: ${names.join(' → ')}`;
+  return plan.note ? `${plan.note} · ${summary}` : summary;
+}
+
+function renderPage({ title, description, head = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="robots" content="noindex">
+  ${head}
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      min-height: 100vh;
+      margin: 0;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    }
+    .container {
+      background: white;
+      padding: 2rem;
+      border-radius: 24px;
+      text-align: center;
+      max-width: 420px;
+      margin: 1rem;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+    }
+    .cover { width: 100%; max-height: 220px; object-fit: cover; border-radius: 16px; margin-bottom: 1rem; }
+    h1 { color: #111; margin: 0 0 0.5rem; }
+    p { color: #666; margin-bottom: 1.5rem; }
+    ol { text-align: left; padding: 0; margin: 0 0 1.5rem; list-style: none; }
+    li { padding: 0.75rem 0; border-bottom: 1px solid #eee; }
+    li:last-child { border-bottom: none; }
+    .stop-name { color: #111; font-weight: 600; }
+    .stop-meta { color: #888; font-size: 0.85rem; }
+    .btn {
+      display: inline-block;
+      padding: 1rem 2rem;
+      background: linear-gradient(to right, #ec4899, #a855f7);
+      color: white;
+      text-decoration: none;
+      border-radius: 12px;
+      font-weight: 600;
+      font-size: 1.1rem;
+      border: none;
+      cursor: pointer;
+    }
+    .btn:active {
+      transform: scale(0.98);
+      opacity: 0.9;
+    }
+    .web-link { display: block; margin-top: 1rem; color: #a855f7; font-size: 0.9rem; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function renderStop(stop) {
+  const { place } = stop;
+  const meta = [
+    stop.role,
+    place.kind === 'event' ? place.event?.venueName : place.location?.address
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+
+  // Times are formatted in the viewer's timezone by the script below
+  const time = stop.arriveAt ? `<time datetime="${escapeHtml(stop.arriveAt)}"></time> ` : '';
+
+  return `<li>
+        <div class="stop-name">${time}${escapeHtml(place.name)}</div>
+        ${meta ? `<div class="stop-meta">${meta}</div>` : ''}
+      </li>`;
+}
+
+function renderPreviewPage(plan) {
+  const { shareUrl, appUrl, webUrl } = linksFor(plan.code);
+  const description = describePlan(plan);
+
+  // Photo URLs are signed /api/photo paths; crawlers need them absolute
+  const photo = plan.stops.map(stop => stop.place.photos?.[0]).find(Boolean);
+  const imageUrl = photo ? `${SHARE_BASE_URL}${photo.url}` : null;
+
+  const head = `
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="DateMaker">
+  <meta property="og:title" content="${escapeHtml(plan.title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(shareUrl)}">
+  ${imageUrl ? `<meta property="og:image" content="${escapeHtml(imageUrl)}">` : ''}
+  <meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">
+  <meta name="twitter:title" content="${escapeHtml(plan.title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  ${imageUrl ? `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">` : ''}
+  ${process.env.APPLE_APP_STORE_ID
+    ? `<meta name="apple-itunes-app" content="app-id=${escapeHtml(process.env.APPLE_APP_STORE_ID)}, app-argument=${escapeHtml(appUrl)}">`
+    : ''}`;
+
+  const body = `
+    ${imageUrl ? `<img class="cover" src="${escapeHtml(imageUrl)}" alt="">` : '<div style="font-size: 4rem; margin-bottom: 1rem;">💕</div>'}
+    <h1>${escapeHtml(plan.title)}</h1>
+    ${plan.note ? `<p>${escapeHtml(plan.note)}</p>` : ''}
+    <ol>
+      ${plan.stops.map(renderStop).join('\n      ')}
+    </ol>
+    <button class="btn" id="open-app" data-app-url="${escapeHtml(appUrl)}" data-web-url="${escapeHtml(webUrl)}">Open in DateMaker</button>
+    <a class="web-link" href="${escapeHtml(webUrl)}">Continue on the web</a>
+    <script>
+      document.querySelectorAll('time').forEach(function (el) {
+        var date = new Date(el.getAttribute('datetime'));
+        el.textContent = date.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' }) + ' ·';
+      });
+
+      // If the app is installed the page is backgrounded; otherwise fall back to the web app
+      document.getElementById('open-app').addEventListener('click', function () {
+        var button = this;
+        window.location.href = button.dataset.appUrl;
+        setTimeout(function () {
+          if (!document.hidden) window.location.href = button.dataset.webUrl;
+        }, ${APP_OPEN_TIMEOUT_MS});
+      });
+    </script>`;
+
+  return renderPage({ title: `${plan.title} · DateMaker`, description, head, body });
+}
+
+function renderUnavailablePage(status) {
+  const message = status === 'revoked'
+    ? 'The person who shared this date plan has turned off the link.'
+    : status === 'expired'
+      ? 'This date plan link has expired.'
+      : status === 'error'
+        ? 'Something went wrong loading this date plan. Please try again.'
+        : 'We couldn\'t find this date plan.';
+
+  return renderPage({
+    title: 'Date plan unavailable · DateMaker',
+    description: message,
+    body: `
+    <div style="font-size: 4rem; margin-bottom: 1rem;">💔</div>
+    <h1>Link unavailable</h1>
+    <p>${escapeHtml(message)}</p>
+    <a class="btn" href="${escapeHtml(WEB_APP_URL)}">Plan your own date</a>`
+  });
+}
+
+router.get('/p/:code', async (req, res) => {
+  try {
+    const shared = await getSharedPlan(req.params.code);
+
+    // Short cache so revocations reach link unfurlers quickly
+    res.setHeader('Cache-Control', 'public, max-age=60');
+
+    if (!shared) {
+      return res.status(404).send(renderUnavailablePage('missing'));
+    }
+    if (shared.status !== 'active') {
+      return res.status(410).send(renderUnavailablePage(shared.status));
+    }
+
+    recordView(req.params.code);
+    res.send(renderPreviewPage(shared.plan));
+  } catch (error) {
+    console.error('❌ Shared plan page error:', error);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(500).send(renderUnavailablePage('error'));
+  }
+});
+
+module.exports = router;
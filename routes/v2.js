@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { quotaLimiter } = require('../services/quotas');
+const { findPlaces } = require('../services/places');
+const { parseOpenAt } = require('../services/openingHours');
+const { isEventDate } = require('../services/eventProviders');
+const { PLACE_SCHEMA_VERSION, normalizePlace } = require('../services/placeSchema');
+
+// =====================================================
+// 📐 API v2 - normalized DateMakerPlace responses
+// Same search and cache as v1; only the response shape differs.
+// =====================================================
+
+router.use((req, res, next) => {
+  res.setHeader('X-API-Version', '2');
+  next();
+});
+
+router.get('/places', optionalAuth, quotaLimiter('places'), async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+
+    // Optional "YYYY-MM-DDTHH:mm" in the location's local time
+    const openAt = req.query.openAt ? parseOpenAt(req.query.openAt) : null;
+    if (req.query.openAt && !openAt) {
+      return res.status(400).json({ error: 'openAt must be a local date and time (YYYY-MM-DDTHH:mm)' });
+    }
+
+    if (req.query.dateRange === 'custom' && req.query.selectedDate && !isEventDate(req.query.selectedDate)) {
+      return res.status(400).json({ error: 'selectedDate must be a date (YYYY-MM-DD)' });
+    }
+
+    const { results, cacheOnly } = await findPlaces({ ...req.query, openAt });
+    if (cacheOnly) res.setHeader('X-Cache-Only', '1');
+
+    res.json({
+      schemaVersion: PLACE_SCHEMA_VERSION,
+      results: results.map(normalizePlace)
+    });
+  } catch (error) {
+    console.error('Error in v2 places search:', error.message);
+    res.status(500).json({
+      error: 'Failed to search places',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -11,14 +11,72 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const admin = require('firebase-admin');
 const axios = require('axios');
 const multer = require('multer');
-const { createClient } = require('redis');
 const rateLimit = require('express-rate-limit');
 const appleIAPRoutes = require('./routes/appleIAP');
+const {
+  initializeRedis,
+  isRedisConnected,
+  closeRedis,
+  cached,
+  getCacheStats,
+  getCacheTierStats
+} = require('./services/cache');
+const createAppleNotificationsRouter = require('./routes/appleNotifications');
+const meRoutes = require('./routes/me');
+const itineraryRoutes = require('./routes/itineraries');
+const v2Routes = require('./routes/v2');
+const scrapbookPhotoRoutes = require('./routes/scrapbookPhotos');
+const dateMemoryRoutes = require('./routes/dateMemories');
+const savedItemRoutes = require('./routes/savedItems');
+const sharedPlanRoutes = require('./routes/sharedPlans');
+const { updateEntitlement } = require('./services/entitlements');
+const { requireAuth, optionalAuth, requireAdmin, targetUserId } = require('./middleware/auth');
+const { DAILY_LIMITS, quotaLimiter } = require('./services/quotas');
+const { findPlaces, getPlaceDetails } = require('./services/places');
+const { requestContext } = require('./services/requestContext');
+const { captureConsole, accessLog, installUpstreamLogging } = require('./services/logger');
+const { UpstreamBudgetError, installUsageMeter, upstreamFor, getUsageReport } = require('./services/usage');
+const {
+  httpMetrics,
+  installUpstreamMetrics,
+  recordLimiterRejection,
+  recordWebhookEvent,
+  metricsHandler
+} = require('./services/metrics');
+const { fetchTicketmasterEvents } = require('./services/eventProviders/ticketmaster');
+const { isEventDateTime, isEventDate } = require('./services/eventProviders');
+const { parseOpenAt } = require('./services/openingHours');
+const { newSessionToken, reverseGeocode, autocomplete, resolvePlace } = require('./services/geocoding');
+const { PHOTO_VARIANTS, resolveVariant, getPhotoVariant, getDirectPhoto, openPhotoStream } = require('./services/photoCache');
+const { verifyPhotoToken, withPhotoTokens } = require('./services/photoTokens');
+const { ALLOWED_TYPES: ALLOWED_IMAGE_TYPES, ImageUploadError } = require('./services/imageUpload');
+const { storeScrapbookPhoto } = require('./services/scrapbookPhotos');
+const { StorageQuotaError } = require('./services/storageQuota');
+const {
+  subscriptionIdForEvent,
+  claimStripeEvent,
+  markStripeEventProcessed,
+  markStripeEventFailed,
+  isStaleSubscriptionEvent,
+  recordSubscriptionEvent,
+  listStripeEvents
+} = require('./services/stripeEventLedger');
+
+// Structured JSON logs (levels, request IDs, redaction) for every console.* call
+captureConsole();
 
 // =====================================================
 // 🛡️ RATE LIMITING CONFIGURATION (NEW!)
 // =====================================================
 
+// Count rejections for /metrics, then respond like express-rate-limit's default handler
+function limitHandler(limiter) {
+  return (req, res, next, options) => {
+    recordLimiterRejection(limiter);
+    res.status(options.statusCode).send(options.message);
+  };
+}
+
 // General API rate limit - 100 requests per 15 minutes
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -29,28 +87,11 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: limitHandler('general')
 });
 
-// Strict limit for expensive Places API - 60 requests per 24 hours
-const placesLimiter = rateLimit({
-  windowMs: 24 * 60 * 60 * 1000, // 24 hours
-  max: 60,
-  message: {
-    error: 'Daily date generation limit reached (60/day). Please try again tomorrow!',
-    retryAfter: '24 hours',
-    tip: 'Try using the "Refresh" button for new options instead of regenerating!'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    console.log('🚫 RATE LIMIT HIT: User hit daily limit (60 dates). IP:', req.ip);
-    res.status(429).json({
-      error: 'Daily date generation limit reached (60/day). Please try again tomorrow!',
-      retryAfter: '24 hours',
-      tip: 'Try using the "Refresh" button for new options instead of regenerating!'
-    });
-  }
-});
+// Places API (date generation) uses per-user tiered daily quotas - see services/quotas.js
+const placesQuota = quotaLimiter('places');
 
 // Moderate limit for geocoding - 50 requests per 15 minutes
 const geocodeLimiter = rateLimit({
@@ -62,6 +103,7 @@ const geocodeLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: limitHandler('geocode')
 });
 
 // Lenient limit for photos - 100 requests per 15 minutes
@@ -74,6 +116,7 @@ const photoLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: limitHandler('photo')
 });
 
 // Very strict limit for Stripe checkout - 10 per 15 minutes
@@ -86,6 +129,21 @@ const checkoutLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: limitHandler('checkout')
+});
+
+// Shared plan preview pages (/p/:code) - 600 per 15 minutes, since link
+// unfurlers (iMessage, Slack, ...) fetch every shared link from a few IPs
+const sharePageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 600,
+  message: {
+    error: 'Too many requests. Please try again in a few minutes.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitHandler('share_page')
 });
 
 // =====================================================
@@ -107,85 +165,16 @@ const uploadLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: limitHandler('upload')
 });
 
 // =====================================================
 // 🔥 REDIS CACHE SETUP
 // =====================================================
 
-let redisClient;
-let isRedisConnected = false;
-
-async function initializeRedis() {
-  try {
-    redisClient = createClient({
-      url: process.env.REDIS_URL || 'redis://localhost:6379',
-      socket: {
-        reconnectStrategy: (retries) => {
-          if (retries > 10) {
-            console.log('❌ Redis max retries reached. Running without cache.');
-            return new Error('Redis max retries exceeded');
-          }
-          return Math.min(retries * 50, 500);
-        }
-      }
-    });
-
-    redisClient.on('error', (err) => {
-      console.error('❌ Redis Error:', err.message);
-      isRedisConnected = false;
-    });
-
-    redisClient.on('ready', () => {
-      console.log('✅ Redis cache READY! Cost optimization ACTIVE! 💰');
-      isRedisConnected = true;
-    });
-
-    await redisClient.connect();
-  } catch (error) {
-    console.error('⚠️  Redis connection failed:', error.message);
-    console.log('⚠️  App will run WITHOUT caching (higher API costs)');
-    isRedisConnected = false;
-  }
-}
-
 // Initialize Redis on startup
 initializeRedis();
 
-// =====================================================
-// 💾 CACHE HELPER FUNCTIONS
-// =====================================================
-
-const CACHE_TTL = 24 * 60 * 60; // 24 hours in seconds
-
-async function getCachedData(key) {
-  if (!isRedisConnected) return null;
-  
-  try {
-    const cached = await redisClient.get(key);
-    if (cached) {
-      console.log(`🎯 CACHE HIT: Saved $0.007! (${key.substring(0, 40)}...)`);
-      return JSON.parse(cached);
-    }
-    console.log(`💸 CACHE MISS: Will cost $0.007 (${key.substring(0, 40)}...)`);
-    return null;
-  } catch (error) {
-    console.error('Cache read error:', error.message);
-    return null;
-  }
-}
-
-async function setCachedData(key, data, ttl = CACHE_TTL) {
-  if (!isRedisConnected) return;
-  
-  try {
-    await redisClient.setEx(key, ttl, JSON.stringify(data));
-    console.log(`💾 CACHED for 24h: Future requests FREE! (${key.substring(0, 40)}...)`);
-  } catch (error) {
-    console.error('Cache write error:', error.message);
-  }
-}
-
 // =====================================================
 // FIREBASE INITIALIZATION
 // =====================================================
@@ -218,12 +207,26 @@ app.set('trust proxy', 1);
 // MIDDLEWARE
 // =====================================================
 
+// Per-request context (request ID, user) for logs and upstream metering
+app.use(requestContext);
+app.use(accessLog);
+installUpstreamLogging(axios);
+installUsageMeter();
+
+// 📈 Prometheus: request histograms + upstream latency/errors
+app.use(httpMetrics);
+installUpstreamMetrics(axios, upstreamFor);
+app.get('/metrics', metricsHandler);
+
 // IMPORTANT: Raw body for Stripe webhook MUST come before express.json()
 app.post('/api/webhook', 
   express.raw({type: 'application/json'}), 
   handleStripeWebhook
 );
 
+// Apple App Store Server Notifications V2 (server-to-server, no rate limiting)
+app.use('/api', createAppleNotificationsRouter());
+
 // Standard middleware for all other routes
 
 // CORS Configuration
@@ -249,33 +252,24 @@ app.use(express.json({ limit: '10mb' }));
 app.use('/api/', generalLimiter);
 
 app.use('/api', appleIAPRoutes);
-
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+app.use('/api', meRoutes);
+app.use('/api', itineraryRoutes);
+app.use('/api', scrapbookPhotoRoutes);
+app.use('/api', dateMemoryRoutes);
+app.use('/api', savedItemRoutes);
+app.use('/p/', sharePageLimiter);
+app.use(sharedPlanRoutes); // /api/shared-plans + /p/:code short links
+app.use('/api/v2', v2Routes);
 
 // =====================================================
 // WEB CHECKOUT (External Payment - No Apple Fee!)
 // =====================================================
 
-app.post('/api/create-web-checkout', checkoutLimiter, async (req, res) => {
+app.post('/api/create-web-checkout', checkoutLimiter, requireAuth, async (req, res) => {
   try {
-    const { plan, userId, email } = req.body;
-    
-    // Verify Firebase token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
-    const token = authHeader.split('Bearer ')[1];
-    await admin.auth().verifyIdToken(token);
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const { plan } = req.body;
+    const userId = targetUserId(req);
+    const email = req.body.email || req.user.email;
 
     const priceId = plan === 'yearly' 
       ? process.env.STRIPE_ANNUAL_PRICE_ID 
@@ -412,6 +406,14 @@ app.get('/api/redirect-to-app', (req, res) => {
 // 🔥 WITH CACHING! 🛡️ WITH RATE LIMITING!
 // =====================================================
 
+// Only real answers are kept for 30 days - never OVER_QUERY_LIMIT / REQUEST_DENIED
+const GEOCODE_CACHE_POLICY = {
+  freshTtl: 30 * 24 * 60 * 60,
+  staleTtl: 7 * 24 * 60 * 60,
+  namespace: 'geocode',
+  shouldCache: data => data.status === 'OK' || data.status === 'ZERO_RESULTS'
+};
+
 app.get('/api/geocode', geocodeLimiter, async (req, res) => {
   try {
     const { address } = req.query;
@@ -420,30 +422,25 @@ app.get('/api/geocode', geocodeLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Address is required' });
     }
 
-    // 🎯 CHECK CACHE FIRST
-    const cacheKey = `geocode:${address.toLowerCase()}`;
-    const cachedResult = await getCachedData(cacheKey);
-    
-    if (cachedResult) {
-      return res.json(cachedResult);
-    }
-
-    // 🌐 FETCH FROM GOOGLE API
-    const response = await axios.get(
-      'https://maps.googleapis.com/maps/api/geocode/json',
-      {
-        params: {
-          address: address,
-          key: process.env.GOOGLE_MAPS_API_KEY
+    // 💾 CACHED 30 DAYS (addresses don't change), then served stale while refreshing
+    const data = await cached(`geocode:${address.toLowerCase()}`, async () => {
+      const response = await axios.get(
+        'https://maps.googleapis.com/maps/api/geocode/json',
+        {
+          params: {
+            address: address,
+            key: process.env.GOOGLE_MAPS_API_KEY
+          }
         }
-      }
-    );
-
-    // 💾 CACHE FOR 30 DAYS (addresses don't change)
-    await setCachedData(cacheKey, response.data, 30 * 24 * 60 * 60);
+      );
+      return response.data;
+    }, GEOCODE_CACHE_POLICY);
 
-    res.json(response.data);
+    res.json(data);
   } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
     console.error('Error geocoding address:', error.message);
     res.status(500).json({ 
       error: 'Failed to geocode address',
@@ -453,195 +450,149 @@ app.get('/api/geocode', geocodeLimiter, async (req, res) => {
 });
 
 // =====================================================
-// MAIN PLACES SEARCH (Used by frontend)
-// 🔥 WITH CACHING! 🛡️ WITH STRICT RATE LIMITING!
+// REVERSE GEOCODING (Device location → neighborhood label)
+// 🔥 WITH CACHING! 🛡️ WITH RATE LIMITING!
 // =====================================================
 
-app.get('/api/places', placesLimiter, async (req, res) => {
-  const startTime = Date.now();
+// Session tokens are opaque client strings (usually a UUID)
+const SESSION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function isValidCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+app.get('/api/geocode/reverse', geocodeLimiter, async (req, res) => {
   try {
-    const { lat, lng, radius, keyword, includeEvents, dateRange, selectedDate, refresh } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
 
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    if (!isValidCoordinate(lat, lng)) {
+      return res.status(400).json({ error: 'Valid latitude and longitude are required' });
     }
 
-    // 🎯 CREATE CACHE KEY
-    // If refresh=true, skip cache by adding timestamp
-    const cacheKey = refresh === 'true' 
-      ? `places:${lat}:${lng}:${radius}:${keyword}:${Date.now()}`
-      : `places:${lat}:${lng}:${radius}:${keyword}:${includeEvents}:${dateRange}:${selectedDate}`;
-
-    console.log(`\n🔍 Searching places: ${keyword} near (${lat}, ${lng})`);
-    console.log(`🔄 Refresh mode: ${refresh === 'true' ? 'YES (forcing new data)' : 'NO (cache allowed)'}`);
-
-    // 💾 CHECK CACHE FIRST (skip if refresh=true)
-    if (refresh !== 'true') {
-      const cachedResults = await getCachedData(cacheKey);
-      if (cachedResults) {
-        const responseTime = Date.now() - startTime;
-        console.log(`⚡ Served from CACHE in ${responseTime}ms (saved ~$0.028!)`);
-        return res.json(cachedResults);
-      }
+    const result = await reverseGeocode(lat, lng);
+
+    if (!result) {
+      return res.status(404).json({ error: 'No address found for this location' });
     }
 
-    // 🌐 FETCH FROM GOOGLE MAPS API (your existing logic)
-    let allResults = [];
-    const seenPlaceIds = new Set();
+    res.json({ result });
+  } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
+    console.error('Error reverse geocoding:', error.message);
+    res.status(500).json({
+      error: 'Failed to reverse geocode location',
+      message: error.message
+    });
+  }
+});
 
-    if (keyword) {
-      // Split keywords and search for each one
-      const keywords = keyword.split(' ').filter(k => k.length > 2);
-      
-      console.log(`📍 Searching ${keywords.length} keywords individually...`);
-      
-      for (const kw of keywords) {
-        try {
-          const placesParams = {
-            location: `${lat},${lng}`,
-            radius: radius || 10000,
-            keyword: kw,
-            key: process.env.GOOGLE_MAPS_API_KEY
-          };
-
-          const response = await axios.get(
-            'https://maps.googleapis.com/maps/api/place/nearbysearch/json',
-            { params: placesParams }
-          );
-
-          if (response.data.results) {
-            const newPlaces = response.data.results.filter(place => {
-              if (seenPlaceIds.has(place.place_id)) return false;
-              seenPlaceIds.add(place.place_id);
-              return true;
-            });
-            
-            allResults.push(...newPlaces);
-            console.log(`  ✅ "${kw}": found ${newPlaces.length} new places`);
-          }
-        } catch (error) {
-          console.error(`  ❌ Error searching "${kw}":`, error.message);
-        }
-      }
-    } else {
-      // No keyword - do a general search
-      const placesParams = {
-        location: `${lat},${lng}`,
-        radius: radius || 10000,
-        key: process.env.GOOGLE_MAPS_API_KEY
-      };
+// =====================================================
+// ADDRESS AUTOCOMPLETE (Session token aware)
+// Reuse the returned sessionToken for every keystroke and for
+// /api/geocode/place - Google then bills one session per pick.
+// The pick ends the session; the next search needs a new token.
+// =====================================================
 
-      const response = await axios.get(
-        'https://maps.googleapis.com/maps/api/place/nearbysearch/json',
-        { params: placesParams }
-      );
+app.get('/api/geocode/autocomplete', geocodeLimiter, async (req, res) => {
+  try {
+    const { input, sessiontoken } = req.query;
 
-      allResults = response.data.results || [];
+    if (!input || !input.trim()) {
+      return res.status(400).json({ error: 'Input is required' });
     }
 
-    let results = allResults;
-    console.log(`✅ Total unique places found: ${results.length}`);
-
-    // If includeEvents is true, fetch Ticketmaster events
-    if (includeEvents === 'true') {
-      try {
-        // 🎯 CHECK EVENTS CACHE FIRST
-        const eventsCacheKey = `events:${lat}:${lng}:${dateRange}:${selectedDate}`;
-        let events = await getCachedData(eventsCacheKey);
-
-        if (!events) {
-          // Fetch from Ticketmaster
-          const eventParams = {
-            apikey: process.env.TICKETMASTER_API_KEY,
-            latlong: `${lat},${lng}`,
-            radius: 25,
-            unit: 'miles',
-            size: 20,
-            sort: 'date,asc'
-          };
-
-          if (keyword) eventParams.keyword = keyword;
-
-          // Add date filtering
-          if (dateRange === 'today') {
-            const today = new Date().toISOString().split('T')[0];
-            eventParams.startDateTime = `${today}T00:00:00Z`;
-            eventParams.endDateTime = `${today}T23:59:59Z`;
-          } else if (dateRange === 'thisweek') {
-            const today = new Date();
-            const endOfWeek = new Date(today);
-            endOfWeek.setDate(today.getDate() + 7);
-            eventParams.startDateTime = today.toISOString();
-            eventParams.endDateTime = endOfWeek.toISOString();
-          } else if (dateRange === 'thismonth') {
-            const today = new Date();
-            const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-            eventParams.startDateTime = today.toISOString();
-            eventParams.endDateTime = endOfMonth.toISOString();
-          } else if (dateRange === 'custom' && selectedDate) {
-            eventParams.startDateTime = `${selectedDate}T00:00:00Z`;
-            eventParams.endDateTime = `${selectedDate}T23:59:59Z`;
-          }
+    if (input.length > 200) {
+      return res.status(400).json({ error: 'Input is too long' });
+    }
 
-          const eventsResponse = await axios.get(
-            'https://app.ticketmaster.com/discovery/v2/events.json',
-            { params: eventParams }
-          );
-
-          if (eventsResponse.data._embedded?.events) {
-            events = eventsResponse.data._embedded.events.map(event => ({
-              place_id: `ticketmaster_${event.id}`,
-              name: event.name,
-              vicinity: event._embedded?.venues?.[0]?.address?.line1 || event._embedded?.venues?.[0]?.name || '',
-              geometry: {
-                location: {
-                  lat: parseFloat(event._embedded?.venues?.[0]?.location?.latitude || lat),
-                  lng: parseFloat(event._embedded?.venues?.[0]?.location?.longitude || lng)
-                }
-              },
-              rating: null,
-              photos: event.images?.[0] ? [{
-                photo_reference: event.images[0].url,
-                isDirectUrl: true
-              }] : [],
-              types: ['event'],
-              isEvent: true,
-              eventDate: event.dates?.start?.localDate,
-              eventTime: event.dates?.start?.localTime,
-              priceRange: event.priceRanges?.[0] ? `$${event.priceRanges[0].min}-$${event.priceRanges[0].max}` : null,
-              website: event.url,
-              venueName: event._embedded?.venues?.[0]?.name
-            }));
-
-            // 💾 CACHE EVENTS FOR 6 HOURS
-            await setCachedData(eventsCacheKey, events, 6 * 60 * 60);
-            console.log(`🎉 Added ${events.length} events from Ticketmaster`);
-          } else {
-            events = [];
-          }
-        } else {
-          console.log(`⚡ Got ${events.length} events from CACHE`);
-        }
+    if (sessiontoken && !SESSION_TOKEN_PATTERN.test(sessiontoken)) {
+      return res.status(400).json({ error: 'Invalid session token' });
+    }
+
+    let lat;
+    let lng;
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      lat = parseFloat(req.query.lat);
+      lng = parseFloat(req.query.lng);
 
-        results = [...results, ...events];
-      } catch (eventError) {
-        console.error('Error fetching events:', eventError.message);
-        // Continue without events if Ticketmaster fails
+      if (!isValidCoordinate(lat, lng)) {
+        return res.status(400).json({ error: 'Valid latitude and longitude are required for location bias' });
       }
     }
 
-    const finalResults = { results };
+    const sessionToken = sessiontoken || newSessionToken();
+    const predictions = await autocomplete({ input, sessionToken, lat, lng });
 
-    // 💾 CACHE RESULTS FOR 24 HOURS
-    await setCachedData(cacheKey, finalResults, CACHE_TTL);
+    res.json({ sessionToken, predictions });
+  } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
+    console.error('Error autocompleting address:', error.message);
+    res.status(500).json({
+      error: 'Failed to autocomplete address',
+      message: error.message
+    });
+  }
+});
 
-    const responseTime = Date.now() - startTime;
-    const keywords = keyword ? keyword.split(' ').filter(k => k.length > 2) : [];
-    const estimatedCost = keywords.length > 0 ? keywords.length * 0.007 : 0.007;
-    console.log(`💰 Fetched from APIs in ${responseTime}ms (cost: ~$${estimatedCost.toFixed(3)})`);
-    console.log(`💾 Results cached for 24 hours - future requests FREE!`);
+// Resolve a picked prediction to coordinates (ends the autocomplete session)
+app.get('/api/geocode/place', geocodeLimiter, async (req, res) => {
+  try {
+    const { placeId, sessiontoken } = req.query;
 
-    res.json(finalResults);
+    if (!placeId) {
+      return res.status(400).json({ error: 'Place ID is required' });
+    }
+
+    if (sessiontoken && !SESSION_TOKEN_PATTERN.test(sessiontoken)) {
+      return res.status(400).json({ error: 'Invalid session token' });
+    }
+
+    const result = await resolvePlace({ placeId, sessionToken: sessiontoken });
+    res.json({ result });
+  } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
+    console.error('Error resolving place:', error.message);
+    res.status(500).json({
+      error: 'Failed to resolve place',
+      message: error.message
+    });
+  }
+});
+
+// =====================================================
+// MAIN PLACES SEARCH (Used by frontend)
+// 🔥 WITH CACHING! 🛡️ WITH STRICT RATE LIMITING!
+// =====================================================
+
+app.get('/api/places', optionalAuth, placesQuota, async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+
+    // Optional "YYYY-MM-DDTHH:mm" in the location's local time
+    const openAt = req.query.openAt ? parseOpenAt(req.query.openAt) : null;
+    if (req.query.openAt && !openAt) {
+      return res.status(400).json({ error: 'openAt must be a local date and time (YYYY-MM-DDTHH:mm)' });
+    }
+
+    if (req.query.dateRange === 'custom' && req.query.selectedDate && !isEventDate(req.query.selectedDate)) {
+      return res.status(400).json({ error: 'selectedDate must be a date (YYYY-MM-DD)' });
+    }
+
+    const { results, cacheOnly } = await findPlaces({ ...req.query, openAt });
+    if (cacheOnly) res.setHeader('X-Cache-Only', '1');
+    res.json({ results: results.map(withPhotoTokens) });
   } catch (error) {
     console.error('Error in places search:', error.message);
     res.status(500).json({ 
@@ -653,58 +604,72 @@ app.get('/api/places', placesLimiter, async (req, res) => {
 
 // =====================================================
 // PHOTO PROXY (For loading Google Photos without CORS)
-// 🔥 WITH CACHING! 🛡️ WITH RATE LIMITING!
+// 🔥 IMAGE BYTES CACHED IN STORAGE! 🛡️ WITH RATE LIMITING!
+// ?token= from a search response (services/photoTokens.js),
+// ?variant=thumb|card|full (or legacy ?maxwidth=), ETag + If-None-Match
 // =====================================================
 
+// If-None-Match may list several tags, weak (W/) or "*"
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').some(tag => {
+    const candidate = tag.trim().replace(/^W\//, '');
+    return candidate === '*' || candidate === etag;
+  });
+}
+
 app.get('/api/photo', photoLimiter, async (req, res) => {
   try {
-    const { photoreference } = req.query;
+    const { token } = req.query;
 
-    if (!photoreference) {
-      return res.status(400).json({ error: 'Photo reference is required' });
+    // Raw references and URLs are no longer accepted - only tokens we issued
+    if (!token) {
+      return res.status(400).json({ error: 'Photo token is required' });
     }
 
-    // 🎯 CHECK CACHE FOR PHOTO URL
-    const cacheKey = `photo:${photoreference}`;
-    const cachedPhoto = await getCachedData(cacheKey);
-    
-    if (cachedPhoto && cachedPhoto.url) {
-      console.log(`⚡ Photo URL from CACHE`);
-      const photoUrl = cachedPhoto.url;
-      
-      // Fetch and stream the image
-      const response = await axios({
-        method: 'get',
-        url: photoUrl,
-        responseType: 'stream'
+    const claims = verifyPhotoToken(token);
+    if (!claims) {
+      return res.status(403).json({ error: 'Invalid or expired photo token' });
+    }
+
+    const variant = resolveVariant(req.query);
+    if (!variant) {
+      return res.status(400).json({
+        error: 'Unknown photo variant',
+        variants: Object.keys(PHOTO_VARIANTS)
       });
+    }
+
+    const photo = claims.kind === 'google'
+      ? await getPhotoVariant(claims.ref, variant)
+      : await getDirectPhoto(claims.ref);
+    const etag = `"${photo.etag}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=604800'); // 7 days - same reference, same image
 
-      res.setHeader('Content-Type', response.headers['content-type']);
-      res.setHeader('Cache-Control', 'public, max-age=86400');
-      response.data.pipe(res);
-      return;
+    // ⚡ Client already has it
+    if (etagMatches(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
     }
 
-    // 🌐 FETCH FROM GOOGLE API
-    const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photoreference}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-    
-    // 💾 CACHE PHOTO URL FOR 7 DAYS
-    await setCachedData(cacheKey, { url: photoUrl }, 7 * 24 * 60 * 60);
-    
-    // Fetch the image and stream it through our server
-    const response = await axios({
-      method: 'get',
-      url: photoUrl,
-      responseType: 'stream'
-    });
+    res.setHeader('Content-Type', photo.contentType);
+    res.setHeader('Content-Length', photo.size);
 
-    // Set proper headers
-    res.setHeader('Content-Type', response.headers['content-type']);
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    
-    // Pipe the image data to the response
-    response.data.pipe(res);
+    const stream = openPhotoStream(photo);
+    stream.on('error', (error) => {
+      console.error('Error streaming cached photo:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to fetch photo', message: error.message });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
   } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
     console.error('Error fetching photo:', error.message);
     res.status(500).json({ 
       error: 'Failed to fetch photo',
@@ -716,86 +681,76 @@ app.get('/api/photo', photoLimiter, async (req, res) => {
 // =====================================================
 // 📸 PHOTO UPLOAD (For iOS/Mobile scrapbook photos)
 // Supports both multipart form data AND base64 JSON
+// Checked by magic bytes, EXIF stripped, HEIC → JPEG, thumbnail stored alongside
+// Stored privately - the response carries short-lived signed URLs
+// (refresh via GET /api/photos/:photoId)
+// Counts against the user's storage quota (GET /api/me/storage)
 // =====================================================
 
-app.post('/api/upload-photo', uploadLimiter, async (req, res) => {
+async function storeUploadedPhoto(res, userId, fileBuffer) {
   try {
-    // Verify auth token first
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const photo = await storeScrapbookPhoto(userId, fileBuffer);
+
+    console.log(`✅ Photo uploaded: ${photo.id} (${photo.width}x${photo.height}, ${photo.size} bytes)`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json({ success: true, ...photo });
+  } catch (error) {
+    if (error instanceof ImageUploadError) {
+      return res.status(error.status).json({ error: error.message, allowedTypes: ALLOWED_IMAGE_TYPES });
+    }
+    if (error instanceof StorageQuotaError) {
+      console.log(`🚫 STORAGE QUOTA HIT: user ${userId} (${error.usage.tier})`);
+      return res.status(error.status).json({
+        error: error.message,
+        storage: error.usage,
+        tip: error.usage.tier === 'premium'
+          ? 'Delete some photos to free up space.'
+          : 'Upgrade to Premium for more scrapbook storage!'
+      });
     }
+    console.error('❌ Upload error:', error);
+    res.status(500).json({ error: 'Upload failed', message: error.message });
+  }
+}
 
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    const userId = decodedToken.uid;
+app.post('/api/upload-photo', uploadLimiter, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.uid;
 
     console.log(`📸 Upload request from user ${userId}`);
 
-    let fileBuffer, fileName, mimeType;
-
     // Check if it's a base64 JSON upload (iOS) or multipart form (web)
     if (req.body.photo && typeof req.body.photo === 'string') {
       // BASE64 JSON UPLOAD (iOS)
       console.log('📱 Processing base64 upload (iOS)');
       
-      const base64Data = req.body.photo;
-      const matches = base64Data.match(/^data:(.+);base64,(.+)$/);
+      // The declared type is ignored - the bytes are sniffed
+      const matches = req.body.photo.match(/^data:[^;,]*;base64,(.+)$/);
       
       if (!matches) {
         return res.status(400).json({ error: 'Invalid base64 format' });
       }
       
-      mimeType = matches[1];
-      fileBuffer = Buffer.from(matches[2], 'base64');
-      fileName = req.body.fileName || `photo_${Date.now()}.jpg`;
-      
-      console.log(`📸 Base64 decoded: ${fileBuffer.length} bytes, type: ${mimeType}`);
-    } else {
-      // MULTIPART FORM UPLOAD (web) - use multer middleware
-      return upload.single('photo')(req, res, async (err) => {
-        if (err) {
-          console.error('Multer error:', err);
-          return res.status(400).json({ error: 'File upload error' });
-        }
-        
-        if (!req.file) {
-          return res.status(400).json({ error: 'No file provided' });
-        }
-
-        console.log('🌐 Processing multipart upload (web)');
-        
-        const bucket = admin.storage().bucket();
-        const storedFileName = `dateMemories/${userId}/${Date.now()}_${req.file.originalname.replace(/[^a-zA-Z0-9.]/g, '_')}`;
-        const file = bucket.file(storedFileName);
-
-        await file.save(req.file.buffer, {
-          metadata: { contentType: req.file.mimetype }
-        });
+      const fileBuffer = Buffer.from(matches[1], 'base64');
+      console.log(`📸 Base64 decoded: ${fileBuffer.length} bytes`);
 
-        await file.makePublic();
-        const publicUrl = `https://storage.googleapis.com/${bucket.name}/${storedFileName}`;
-
-        console.log(`✅ Photo uploaded: ${storedFileName}`);
-        return res.json({ success: true, url: publicUrl });
-      });
+      return storeUploadedPhoto(res, userId, fileBuffer);
     }
 
-    // Process base64 upload
-    const bucket = admin.storage().bucket();
-    const storedFileName = `dateMemories/${userId}/${Date.now()}_${fileName.replace(/[^a-zA-Z0-9.]/g, '_')}`;
-    const file = bucket.file(storedFileName);
+    // MULTIPART FORM UPLOAD (web) - use multer middleware
+    upload.single('photo')(req, res, async (err) => {
+      if (err) {
+        console.error('Multer error:', err);
+        return res.status(400).json({ error: 'File upload error' });
+      }
+      
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file provided' });
+      }
 
-    await file.save(fileBuffer, {
-      metadata: { contentType: mimeType }
+      console.log('🌐 Processing multipart upload (web)');
+      await storeUploadedPhoto(res, userId, req.file.buffer);
     });
-
-    await file.makePublic();
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${storedFileName}`;
-
-    console.log(`✅ Photo uploaded: ${storedFileName}`);
-    res.json({ success: true, url: publicUrl });
-
   } catch (error) {
     console.error('❌ Upload error:', error);
     res.status(500).json({ error: 'Upload failed', message: error.message });
@@ -828,8 +783,14 @@ app.post('/api/places/nearby', async (req, res) => {
       { params }
     );
 
-    res.json(response.data);
+    res.json({
+      ...response.data,
+      results: (response.data.results || []).map(withPhotoTokens)
+    });
   } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
     console.error('Error fetching places:', error.message);
     res.status(500).json({ 
       error: 'Failed to fetch places',
@@ -846,19 +807,15 @@ app.post('/api/places/details', async (req, res) => {
       return res.status(400).json({ error: 'Place ID is required' });
     }
 
-    const response = await axios.get(
-      'https://maps.googleapis.com/maps/api/place/details/json',
-      {
-        params: {
-          place_id: placeId,
-          fields: 'name,rating,formatted_phone_number,opening_hours,website,photos,price_level,reviews,formatted_address,geometry',
-          key: process.env.GOOGLE_MAPS_API_KEY
-        }
-      }
-    );
+    // 💾 CACHED 24 HOURS (only successful lookups), then served stale while refreshing
+    const data = await getPlaceDetails(placeId);
 
-    res.json(response.data);
+    // Tokens are issued per response, never cached
+    res.json(data.result ? { ...data, result: withPhotoTokens(data.result) } : data);
   } catch (error) {
+    if (error instanceof UpstreamBudgetError) {
+      return res.status(503).json({ error: error.message, cacheOnly: true });
+    }
     console.error('Error fetching place details:', error.message);
     res.status(500).json({ 
       error: 'Failed to fetch place details',
@@ -867,24 +824,18 @@ app.post('/api/places/details', async (req, res) => {
   }
 });
 
-app.get('/api/places/photo', async (req, res) => {
-  try {
-    const { photoReference, maxWidth } = req.query;
-
-    if (!photoReference) {
-      return res.status(400).json({ error: 'Photo reference is required' });
-    }
+// Legacy endpoint - used to redirect to Google with our API key in the URL.
+// Now just forwards a photo token to the proxy.
+app.get('/api/places/photo', photoLimiter, (req, res) => {
+  const { token, maxWidth } = req.query;
 
-    const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${maxWidth || 400}&photoreference=${photoReference}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-    
-    res.redirect(photoUrl);
-  } catch (error) {
-    console.error('Error fetching photo:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch photo',
-      message: error.message 
-    });
+  if (!token) {
+    return res.status(400).json({ error: 'Photo token is required' });
   }
+
+  const params = new URLSearchParams({ token });
+  if (maxWidth) params.set('maxwidth', maxWidth);
+  res.redirect(`/api/photo?${params}`);
 });
 
 // =====================================================
@@ -899,25 +850,20 @@ app.post('/api/ticketmaster', async (req, res) => {
       return res.status(400).json({ error: 'Location with lat/lng is required' });
     }
 
-    const params = {
-      apikey: process.env.TICKETMASTER_API_KEY,
-      latlong: `${location.lat},${location.lng}`,
-      radius: radius || 25,
-      unit: 'miles',
-      size: 20,
-      sort: 'date,asc'
-    };
-
-    if (keyword) params.keyword = keyword;
-    if (startDateTime) params.startDateTime = startDateTime;
-    if (endDateTime) params.endDateTime = endDateTime;
+    if ((startDateTime && !isEventDateTime(startDateTime)) || (endDateTime && !isEventDateTime(endDateTime))) {
+      return res.status(400).json({ error: 'startDateTime and endDateTime must be ISO 8601 dates' });
+    }
 
-    const response = await axios.get(
-      'https://app.ticketmaster.com/discovery/v2/events.json',
-      { params }
-    );
+    const data = await fetchTicketmasterEvents({
+      lat: location.lat,
+      lng: location.lng,
+      radiusMiles: radius,
+      keyword,
+      startDateTime,
+      endDateTime
+    });
 
-    res.json(response.data);
+    res.json(data);
   } catch (error) {
     console.error('Error fetching Ticketmaster events:', error.message);
     res.status(500).json({ 
@@ -942,118 +888,243 @@ async function handleStripeWebhook(req, res) {
     console.log(`✅ Webhook received: ${event.type}`);
   } catch (err) {
     console.error(`❌ Webhook signature verification failed: ${err.message}`);
+    recordWebhookEvent('stripe', 'unknown', 'invalid_signature');
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  let claim;
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
-      
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object);
-        break;
-      
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
-      
-      case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
-      
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
+    claim = await claimStripeEvent(event);
+  } catch (error) {
+    console.error(`Error claiming webhook ${event.id}:`, error);
+    recordWebhookEvent('stripe', event.type, 'error');
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
 
+  if (claim !== 'claimed') {
+    recordWebhookEvent('stripe', event.type, claim);
+  }
+
+  if (claim === 'duplicate') {
+    console.log(`⚠️ Webhook ${event.id} already processed - skipping`);
+    return res.json({ received: true, duplicate: true });
+  }
+
+  if (claim === 'in_progress') {
+    // Non-2xx makes Stripe retry once the other attempt has finished
+    return res.status(409).json({ error: 'Event is already being processed' });
+  }
+
+  try {
+    const outcome = await processStripeEvent(event);
+    await markStripeEventProcessed(event.id, outcome);
+    recordWebhookEvent('stripe', event.type, outcome);
     res.json({ received: true });
   } catch (error) {
     console.error(`Error processing webhook ${event.type}:`, error);
+    recordWebhookEvent('stripe', event.type, 'error');
+    await markStripeEventFailed(event.id, error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 }
 
+// Apply one Stripe event. Returns 'handled', 'stale' or 'ignored'.
+async function processStripeEvent(event) {
+  const subscriptionId = subscriptionIdForEvent(event);
+
+  // Stripe doesn't guarantee delivery order - a late invoice.payment_succeeded
+  // must not undo a newer customer.subscription.updated/deleted
+  if (subscriptionId && await isStaleSubscriptionEvent(subscriptionId, event.created)) {
+    console.log(`⏭️ Skipping stale ${event.type} for ${subscriptionId}`);
+    return 'stale';
+  }
+
+  const outcome = await applyStripeEvent(event);
+
+  // Only a successfully applied event makes older ones stale
+  if (subscriptionId && outcome === 'handled') {
+    await recordSubscriptionEvent(subscriptionId, event.created);
+  }
+  return outcome;
+}
+
+async function applyStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(event.data.object);
+      return 'handled';
+    
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object);
+      return 'handled';
+    
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object);
+      return 'handled';
+    
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      return 'handled';
+    
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object);
+      return 'handled';
+    
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      return 'handled';
+    
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+      return 'ignored';
+  }
+}
+
 // =====================================================
-// WEBHOOK HANDLERS
+// ADMIN: FAILED WEBHOOK REPLAY
 // =====================================================
 
-async function handleCheckoutCompleted(session) {
-  console.log('💳 Checkout completed:', session.id);
-  
-  const userId = session.client_reference_id;
-  if (!userId) {
-    console.error('No userId in checkout session');
-    return;
+app.get('/api/admin/stripe-events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'failed' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const events = await listStripeEvents({ status, limit });
+    res.json({ events });
+  } catch (error) {
+    console.error('❌ Error listing Stripe events:', error);
+    res.status(500).json({ error: 'Failed to list events', message: error.message });
   }
+});
 
-  const subscription = await stripe.subscriptions.retrieve(session.subscription);
-  
-  // ✅ DETERMINE STATUS CORRECTLY
-  const status = subscription.status === 'trialing' ? 'trial' : 'premium';
-  
-  const updateData = {
-    stripeCustomerId: session.customer,
-    stripeSubscriptionId: subscription.id,
-    subscriptionStatus: status,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  };
+app.post('/api/admin/stripe-events/:eventId/replay', requireAuth, requireAdmin, async (req, res) => {
+  const { eventId } = req.params;
 
-// Only add trialEndsAt if it exists and is valid
-if (subscription.trial_end && !isNaN(subscription.trial_end)) {
-  updateData.trialEndsAt = new Date(subscription.trial_end * 1000).toISOString();
-}
+  try {
+    // Re-fetch from Stripe rather than trusting the stored copy
+    const event = await stripe.events.retrieve(eventId);
+
+    await claimStripeEvent(event, { force: true });
+
+    try {
+      const outcome = await processStripeEvent(event);
+      await markStripeEventProcessed(event.id, outcome);
+
+      console.log(`🔁 Admin ${req.user.uid} replayed ${event.type} (${event.id}): ${outcome}`);
+      res.json({ success: true, eventId: event.id, type: event.type, outcome });
+    } catch (error) {
+      await markStripeEventFailed(event.id, error);
+      throw error;
+    }
+  } catch (error) {
+    console.error(`❌ Error replaying Stripe event ${eventId}:`, error);
+    res.status(500).json({ error: 'Failed to replay event', message: error.message });
+  }
+});
+
+// =====================================================
+// ADMIN: CACHE HIT/MISS STATS
+// Per-namespace daily counts (e.g. "nearby" = geohash-cell Nearby Search)
+// plus L1 memory / Redis hit rates since this instance started
+// =====================================================
+
+app.get('/api/admin/cache-stats', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 7, 30);
+    res.json({
+      tiers: getCacheTierStats(),
+      days: await getCacheStats(days)
+    });
+  } catch (error) {
+    console.error('❌ Error reading cache stats:', error);
+    res.status(500).json({ error: 'Failed to read cache stats', message: error.message });
+  }
+});
+
+// =====================================================
+// ADMIN: UPSTREAM API USAGE + SPEND
+// =====================================================
+
+app.get('/api/admin/usage', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 7, 90);
+    res.json(await getUsageReport(days));
+  } catch (error) {
+    console.error('❌ Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report', message: error.message });
+  }
+});
+
+// =====================================================
+// WEBHOOK HANDLERS
+// =====================================================
+
+// Days a past_due subscription keeps access while Stripe retries the card
+const STRIPE_GRACE_PERIOD_DAYS = parseInt(process.env.STRIPE_GRACE_PERIOD_DAYS || '7', 10);
 
-// Only add currentPeriodEnd if it exists and is valid
-if (subscription.current_period_end && !isNaN(subscription.current_period_end)) {
-  updateData.currentPeriodEnd = new Date(subscription.current_period_end * 1000).toISOString();
+function stripeTimestamp(seconds) {
+  return seconds && !isNaN(seconds) ? new Date(seconds * 1000).toISOString() : null;
 }
 
-await db.collection('users').doc(userId).update(updateData);
+// Newer Stripe API versions report the billing period on the subscription item
+function subscriptionPeriodEnd(subscription) {
+  return subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+}
 
-  console.log(`✅ User ${userId} updated with trial subscription`);
+function subscriptionPlan(subscription) {
+  const interval = subscription.items?.data?.[0]?.price?.recurring?.interval;
+  if (interval) return interval === 'year' ? 'yearly' : 'monthly';
+  const plan = subscription.metadata?.plan;
+  return plan === 'yearly' || plan === 'annual' ? 'yearly' : 'monthly';
 }
 
-async function handleSubscriptionCreated(subscription) {
-  console.log('🎉 Subscription created:', subscription.id);
-  
-  const customer = subscription.customer;
-  const userSnapshot = await db.collection('users')
-    .where('stripeCustomerId', '==', customer)
-    .limit(1)
-    .get();
+// Map a Stripe subscription onto the unified entitlement state
+function stripeEntitlementState(subscription) {
+  const periodEnd = stripeTimestamp(subscriptionPeriodEnd(subscription));
+  const state = {
+    plan: subscriptionPlan(subscription),
+    expiresAt: periodEnd,
+    isTrial: subscription.status === 'trialing',
+    willCancelAt: subscription.cancel_at_period_end ? periodEnd : null
+  };
 
-  if (userSnapshot.empty) {
-    console.error('No user found for customer:', customer);
-    return;
+  switch (subscription.status) {
+    case 'trialing':
+      return { ...state, status: 'trial', expiresAt: stripeTimestamp(subscription.trial_end) || periodEnd };
+    case 'active':
+      return { ...state, status: 'active' };
+    case 'past_due': {
+      const graceEnds = new Date(periodEnd || Date.now());
+      graceEnds.setDate(graceEnds.getDate() + STRIPE_GRACE_PERIOD_DAYS);
+      return { ...state, status: 'grace', gracePeriodEndsAt: graceEnds.toISOString() };
+    }
+    case 'canceled':
+      return { ...state, status: 'canceled', willCancelAt: null };
+    default:
+      // incomplete, incomplete_expired, unpaid, paused
+      return { ...state, status: 'expired' };
   }
+}
 
-  const userId = userSnapshot.docs[0].id;
-  const status = subscription.status === 'trialing' ? 'trial' : 'premium';
-  
-  await db.collection('users').doc(userId).update({
+// Stripe-specific user fields written alongside the entitlement
+function stripeSubscriptionFields(subscription) {
+  const fields = {
     stripeSubscriptionId: subscription.id,
-    subscriptionStatus: status,
-    trialEndsAt: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
-    currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  });
+    currentPeriodEnd: stripeTimestamp(subscriptionPeriodEnd(subscription))
+  };
+
+  if (subscription.trial_end && !isNaN(subscription.trial_end)) {
+    fields.trialEndsAt = stripeTimestamp(subscription.trial_end);
+  }
+
+  fields.subscriptionWillCancelAt = subscription.cancel_at_period_end && fields.currentPeriodEnd
+    ? fields.currentPeriodEnd
+    : admin.firestore.FieldValue.delete();
 
-  console.log(`✅ User ${userId} subscription created with status: ${status}`);
+  return fields;
 }
 
-async function handleSubscriptionUpdated(subscription) {
-  console.log('🔄 Subscription updated:', subscription.id);
-  
-  const customer = subscription.customer;
+async function findUserIdByCustomer(customer) {
   const userSnapshot = await db.collection('users')
     .where('stripeCustomerId', '==', customer)
     .limit(1)
@@ -1061,61 +1132,88 @@ async function handleSubscriptionUpdated(subscription) {
 
   if (userSnapshot.empty) {
     console.error('No user found for customer:', customer);
-    return;
+    return null;
   }
 
-  const userId = userSnapshot.docs[0].id;
-  let status = 'free';
+  return userSnapshot.docs[0].id;
+}
 
-  if (subscription.status === 'active') {
-    status = 'premium';
-  } else if (subscription.status === 'trialing') {
-    status = 'trial';
-  } else if (subscription.status === 'canceled' || subscription.status === 'incomplete_expired') {
-    status = 'free';
+async function handleCheckoutCompleted(session) {
+  console.log('💳 Checkout completed:', session.id);
+  
+  const userId = session.client_reference_id;
+  if (!userId) {
+    console.error('No userId in checkout session');
+    return;
   }
 
-  const updateData = {
-    subscriptionStatus: status,
-    currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  };
+  const subscription = await stripe.subscriptions.retrieve(session.subscription);
 
-  if (subscription.cancel_at_period_end) {
-    updateData.subscriptionWillCancelAt = new Date(subscription.current_period_end * 1000).toISOString();
-  } else {
-    updateData.subscriptionWillCancelAt = admin.firestore.FieldValue.delete();
-  }
+  const entitlement = await updateEntitlement(userId, 'stripe', stripeEntitlementState(subscription), {
+    stripeCustomerId: session.customer,
+    ...stripeSubscriptionFields(subscription)
+  });
 
-  await db.collection('users').doc(userId).update(updateData);
+  console.log(`✅ User ${userId} checkout completed - entitlement: ${entitlement.tier}`);
+}
 
-  console.log(`✅ User ${userId} subscription updated to: ${status}`);
+async function handleSubscriptionCreated(eventSubscription) {
+  console.log('🎉 Subscription created:', eventSubscription.id);
+
+  // Event payloads can be stale - always write Stripe's current state
+  const subscription = await stripe.subscriptions.retrieve(eventSubscription.id);
+  
+  const userId = await findUserIdByCustomer(subscription.customer);
+  if (!userId) return;
+
+  const entitlement = await updateEntitlement(
+    userId,
+    'stripe',
+    stripeEntitlementState(subscription),
+    stripeSubscriptionFields(subscription)
+  );
+
+  console.log(`✅ User ${userId} subscription created - entitlement: ${entitlement.tier}`);
 }
 
-async function handleSubscriptionDeleted(subscription) {
-  console.log('❌ Subscription deleted:', subscription.id);
+async function handleSubscriptionUpdated(eventSubscription) {
+  console.log('🔄 Subscription updated:', eventSubscription.id);
+
+  // Event payloads can be stale - always write Stripe's current state
+  const subscription = await stripe.subscriptions.retrieve(eventSubscription.id);
   
-  const customer = subscription.customer;
-  const userSnapshot = await db.collection('users')
-    .where('stripeCustomerId', '==', customer)
-    .limit(1)
-    .get();
+  const userId = await findUserIdByCustomer(subscription.customer);
+  if (!userId) return;
 
-  if (userSnapshot.empty) {
-    console.error('No user found for customer:', customer);
-    return;
-  }
+  const entitlement = await updateEntitlement(
+    userId,
+    'stripe',
+    stripeEntitlementState(subscription),
+    stripeSubscriptionFields(subscription)
+  );
+
+  console.log(`✅ User ${userId} subscription updated - entitlement: ${entitlement.tier}`);
+}
 
-  const userId = userSnapshot.docs[0].id;
+async function handleSubscriptionDeleted(eventSubscription) {
+  console.log('❌ Subscription deleted:', eventSubscription.id);
+
+  // Event payloads can be stale - always write Stripe's current state
+  const subscription = await stripe.subscriptions.retrieve(eventSubscription.id);
   
-  await db.collection('users').doc(userId).update({
-    subscriptionStatus: 'free',
+  const userId = await findUserIdByCustomer(subscription.customer);
+  if (!userId) return;
+
+  const entitlement = await updateEntitlement(userId, 'stripe', {
+    ...stripeEntitlementState(subscription),
+    status: 'canceled',
+    willCancelAt: null
+  }, {
     stripeSubscriptionId: admin.firestore.FieldValue.delete(),
-    subscriptionWillCancelAt: admin.firestore.FieldValue.delete(),
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    subscriptionWillCancelAt: admin.firestore.FieldValue.delete()
   });
 
-  console.log(`✅ User ${userId} subscription cancelled - reverted to free`);
+  console.log(`✅ User ${userId} subscription cancelled - entitlement: ${entitlement.tier}`);
 }
 
 async function handlePaymentSucceeded(invoice) {
@@ -1126,27 +1224,16 @@ async function handlePaymentSucceeded(invoice) {
   }
 
   const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-  const customer = subscription.customer;
-  
-  const userSnapshot = await db.collection('users')
-    .where('stripeCustomerId', '==', customer)
-    .limit(1)
-    .get();
 
-  if (userSnapshot.empty) {
-    console.error('No user found for customer:', customer);
-    return;
-  }
+  const userId = await findUserIdByCustomer(subscription.customer);
+  if (!userId) return;
 
-  const userId = userSnapshot.docs[0].id;
-  
-  await db.collection('users').doc(userId).update({
-    subscriptionStatus: 'premium',
-    currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  const entitlement = await updateEntitlement(userId, 'stripe', stripeEntitlementState(subscription), {
+    ...stripeSubscriptionFields(subscription),
+    paymentFailed: false
   });
 
-  console.log(`✅ User ${userId} payment succeeded - upgraded to premium`);
+  console.log(`✅ User ${userId} payment succeeded - entitlement: ${entitlement.tier}`);
 }
 
 async function handlePaymentFailed(invoice) {
@@ -1157,24 +1244,14 @@ async function handlePaymentFailed(invoice) {
   }
 
   const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-  const customer = subscription.customer;
-  
-  const userSnapshot = await db.collection('users')
-    .where('stripeCustomerId', '==', customer)
-    .limit(1)
-    .get();
 
-  if (userSnapshot.empty) {
-    console.error('No user found for customer:', customer);
-    return;
-  }
+  const userId = await findUserIdByCustomer(subscription.customer);
+  if (!userId) return;
 
-  const userId = userSnapshot.docs[0].id;
-  
-  await db.collection('users').doc(userId).update({
+  await updateEntitlement(userId, 'stripe', stripeEntitlementState(subscription), {
+    ...stripeSubscriptionFields(subscription),
     paymentFailed: true,
-    paymentFailedAt: new Date().toISOString(),
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    paymentFailedAt: new Date().toISOString()
   });
 
   console.log(`⚠️ User ${userId} payment failed - flagged for follow-up`);
@@ -1185,13 +1262,10 @@ async function handlePaymentFailed(invoice) {
 // 🛡️ WITH RATE LIMITING!
 // =====================================================
 
-app.post('/api/create-checkout-session', checkoutLimiter, async (req, res) => {
+app.post('/api/create-checkout-session', checkoutLimiter, requireAuth, async (req, res) => {
   try {
-    const { userId, plan = 'monthly', email, platform } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const { plan = 'monthly', email, platform } = req.body;
+    const userId = targetUserId(req);
 
     // Get user data
     const userDoc = await db.collection('users').doc(userId).get();
@@ -1269,13 +1343,9 @@ app.post('/api/create-checkout-session', checkoutLimiter, async (req, res) => {
   }
 });
 
-app.post('/api/create-portal-session', async (req, res) => {
+app.post('/api/create-portal-session', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = targetUserId(req);
 
     const userDoc = await db.collection('users').doc(userId).get();
     const userData = userDoc.data();
@@ -1306,18 +1376,14 @@ app.post('/api/create-portal-session', async (req, res) => {
 });
 
 // ⭐⭐⭐ CANCEL SUBSCRIPTION ENDPOINT ⭐⭐⭐
-app.post('/api/cancel-subscription', async (req, res) => {
+app.post('/api/cancel-subscription', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = targetUserId(req);
 
     const userDoc = await db.collection('users').doc(userId).get();
     const userData = userDoc.data();
 
-    if (!userData.stripeSubscriptionId) {
+    if (!userData?.stripeSubscriptionId) {
       return res.status(400).json({ error: 'No active subscription found' });
     }
 
@@ -1344,16 +1410,14 @@ app.post('/api/cancel-subscription', async (req, res) => {
       cancel_at_period_end: true
     });
 
-    const cancelAtDate = subscription.current_period_end 
-      ? new Date(subscription.current_period_end * 1000).toISOString()
-      : null;
+    const cancelAtDate = stripeTimestamp(subscriptionPeriodEnd(subscription));
 
-    if (cancelAtDate) {
-      await db.collection('users').doc(userId).update({
-        subscriptionWillCancelAt: cancelAtDate,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-    }
+    await updateEntitlement(
+      userId,
+      'stripe',
+      stripeEntitlementState(subscription),
+      stripeSubscriptionFields(subscription)
+    );
 
     console.log(`🔕 Subscription will cancel at period end: ${userId}`);
 
@@ -1385,8 +1449,8 @@ app.get('/api/health', (req, res) => {
     firebase: !!admin.apps.length,
     googleMaps: !!process.env.GOOGLE_MAPS_API_KEY,
     ticketmaster: !!process.env.TICKETMASTER_API_KEY,
-    redis: isRedisConnected,
-    caching: isRedisConnected ? 'ACTIVE - 80-90% cost savings!' : 'DISABLED - higher API costs',
+    redis: isRedisConnected(),
+    caching: isRedisConnected() ? 'ACTIVE - 80-90% cost savings!' : 'IN-MEMORY ONLY - higher API costs',
     rateLimiting: 'ACTIVE - preventing abuse!'
   });
 });
@@ -1424,14 +1488,16 @@ const server = app.listen(PORT, () => {
 ║   🔥 Firebase: ${admin.apps.length ? '✅ Connected' : '❌ Not configured'}
 ║   🗺️  Google Maps: ${process.env.GOOGLE_MAPS_API_KEY ? '✅ Connected' : '❌ Not configured'}
 ║   🎫 Ticketmaster: ${process.env.TICKETMASTER_API_KEY ? '✅ Connected' : '❌ Not configured'}
-║   💾 Redis Cache: ${isRedisConnected ? '✅ ACTIVE (80-90% savings!)' : '⚠️  DISABLED'}
+║   💾 Redis Cache: ${isRedisConnected() ? '✅ ACTIVE (80-90% savings!)' : '⚠️  IN-MEMORY ONLY'}
 ║   🛡️  Rate Limiting: ✅ ACTIVE (abuse prevention!)
 ║   🔔 Webhook: /api/webhook
+║   🍎 Apple Notifications: /api/apple-notifications
+║   📈 Metrics: /metrics
 ╚════════════════════════════════════════════╝
 
 🛡️  RATE LIMITS ACTIVE:
    → General API: 100 req/15min
-   → Places Search: 60 req/24hrs (daily limit)
+   → Places Search: ${DAILY_LIMITS.places.free}/${DAILY_LIMITS.places.trial}/${DAILY_LIMITS.places.premium} per day (free/trial/premium)
    → Geocoding: 50 req/15min
    → Photos: 100 req/15min
    → Checkout: 10 req/15min
@@ -1441,10 +1507,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  if (redisClient && isRedisConnected) {
-    await redisClient.quit();
-    console.log('Redis connection closed');
-  }
+  await closeRedis();
   server.close(() => {
     console.log('HTTP server closed');
   });
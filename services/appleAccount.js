@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// =====================================================
+// 🍎 APPLE ACCOUNT BINDING + ENVIRONMENTS
+// StoreKit 2 purchases carry the appAccountToken (a UUID) the app
+// passed to purchase(); ours is derived from the Firebase uid so a
+// signed transaction can only unlock the account that bought it.
+// =====================================================
+
+// Fixed namespace for UUIDv5 tokens - changing it orphans existing purchases
+const APP_ACCOUNT_TOKEN_NAMESPACE = '5b0f3c3e-7d4a-4c1e-9a86-2f6b1d0e8c47';
+
+/**
+ * RFC 4122 name-based (v5) UUID of the user's uid.
+ * The app fetches it from GET /api/me/apple-account-token.
+ */
+function appAccountTokenFor(userId) {
+  const namespace = Buffer.from(APP_ACCOUNT_TOKEN_NAMESPACE.replace(/-/g, ''), 'hex');
+  const hash = crypto.createHash('sha1').update(namespace).update(String(userId)).digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50; // version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function isAppAccountTokenFor(token, userId) {
+  return typeof token === 'string' && token.toLowerCase() === appAccountTokenFor(userId);
+}
+
+/**
+ * Production only accepts Production transactions; APPLE_ALLOW_SANDBOX=true
+ * lets App Review's sandbox purchases through. Other deployments accept any.
+ */
+function isAllowedAppleEnvironment(environment) {
+  if (process.env.NODE_ENV !== 'production') return true;
+  if (environment === 'Production') return true;
+  return environment === 'Sandbox' && process.env.APPLE_ALLOW_SANDBOX === 'true';
+}
+
+module.exports = {
+  appAccountTokenFor,
+  isAppAccountTokenFor,
+  isAllowedAppleEnvironment
+};
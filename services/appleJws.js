@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// =====================================================
+// 🍎 APPLE SIGNED PAYLOAD (JWS) VERIFICATION
+// Used by App Store Server Notifications V2 and StoreKit 2.
+// Apple signs with ES256 and ships the chain in the x5c header:
+// [leaf, intermediate, Apple Root CA - G3]
+// =====================================================
+
+// SHA-256 fingerprint of "Apple Root CA - G3"
+const APPLE_ROOT_CA_G3_FINGERPRINT =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+// DER-encoded marker OIDs Apple puts on its App Store signing certs
+const APPLE_LEAF_OID = Buffer.from('060a2a864886f76364060b01', 'hex'); // 1.2.840.113635.100.6.11.1
+const APPLE_INTERMEDIATE_OID = Buffer.from('060a2a864886f76364060201', 'hex'); // 1.2.840.113635.100.6.2.1
+
+class AppleJwsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppleJwsError';
+  }
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function fingerprintOf(cert) {
+  return cert.fingerprint256.toUpperCase();
+}
+
+// Trusted roots can be overridden with APPLE_ROOT_CA_PATHS (comma separated PEM/DER files)
+function loadRootCertificatesFromEnv() {
+  if (!process.env.APPLE_ROOT_CA_PATHS) return null;
+  return process.env.APPLE_ROOT_CA_PATHS
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => fs.readFileSync(p));
+}
+
+/**
+ * Build a verifier for Apple-signed JWS strings.
+ *
+ * @param {Object} [options]
+ * @param {Array<string|Buffer>} [options.rootCertificates] - trusted roots (PEM or DER).
+ *   Defaults to Apple Root CA - G3. Pass locally generated certs in tests.
+ * @param {boolean} [options.checkAppleOids] - require Apple's marker OIDs on the
+ *   leaf/intermediate. Defaults to true only when trusting Apple's real root.
+ * @param {Function} [options.now] - clock used when the payload has no signedDate
+ */
+function createAppleJwsVerifier(options = {}) {
+  const rootCertificates = options.rootCertificates || loadRootCertificatesFromEnv();
+  const trustedFingerprints = rootCertificates
+    ? rootCertificates.map(pem => fingerprintOf(new crypto.X509Certificate(pem)))
+    : [APPLE_ROOT_CA_G3_FINGERPRINT];
+  const checkAppleOids = options.checkAppleOids !== undefined
+    ? options.checkAppleOids
+    : !rootCertificates;
+  const now = options.now || (() => new Date());
+
+  function verifyChain(chain, effectiveDate) {
+    if (chain.length !== 3) {
+      throw new AppleJwsError(`Expected 3 certificates in x5c, got ${chain.length}`);
+    }
+
+    const [leaf, intermediate, root] = chain;
+
+    if (!trustedFingerprints.includes(fingerprintOf(root))) {
+      throw new AppleJwsError('Root certificate is not trusted');
+    }
+
+    if (!leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+      throw new AppleJwsError('Leaf certificate was not issued by intermediate');
+    }
+
+    if (!intermediate.checkIssued(root) || !intermediate.verify(root.publicKey)) {
+      throw new AppleJwsError('Intermediate certificate was not issued by root');
+    }
+
+    for (const cert of chain) {
+      if (effectiveDate < new Date(cert.validFrom) || effectiveDate > new Date(cert.validTo)) {
+        throw new AppleJwsError(`Certificate not valid at ${effectiveDate.toISOString()}`);
+      }
+    }
+
+    if (checkAppleOids) {
+      if (!leaf.raw.includes(APPLE_LEAF_OID)) {
+        throw new AppleJwsError('Leaf certificate is missing Apple marker OID');
+      }
+      if (!intermediate.raw.includes(APPLE_INTERMEDIATE_OID)) {
+        throw new AppleJwsError('Intermediate certificate is missing Apple marker OID');
+      }
+    }
+  }
+
+  /**
+   * Verify a compact JWS and return its decoded payload.
+   * Throws AppleJwsError if the signature or certificate chain is invalid.
+   */
+  function verify(jws) {
+    if (typeof jws !== 'string') {
+      throw new AppleJwsError('Signed payload must be a string');
+    }
+
+    const parts = jws.split('.');
+    if (parts.length !== 3) {
+      throw new AppleJwsError('Malformed JWS');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+    let header, payload;
+    try {
+      header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf-8'));
+      payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf-8'));
+    } catch (error) {
+      throw new AppleJwsError('JWS header or payload is not valid JSON');
+    }
+
+    if (header.alg !== 'ES256') {
+      throw new AppleJwsError(`Unsupported JWS algorithm: ${header.alg}`);
+    }
+
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0) {
+      throw new AppleJwsError('JWS header has no x5c certificate chain');
+    }
+
+    let chain;
+    try {
+      chain = header.x5c.map(der => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+    } catch (error) {
+      throw new AppleJwsError('x5c contains an invalid certificate');
+    }
+
+    // Apple validates the chain at the time the payload was signed
+    const effectiveDate = payload.signedDate ? new Date(payload.signedDate) : now();
+    verifyChain(chain, effectiveDate);
+
+    const signatureValid = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: chain[0].publicKey, dsaEncoding: 'ieee-p1363' },
+      base64UrlDecode(encodedSignature)
+    );
+
+    if (!signatureValid) {
+      throw new AppleJwsError('JWS signature is invalid');
+    }
+
+    return payload;
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  AppleJwsError,
+  createAppleJwsVerifier
+};
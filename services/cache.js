@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { namespaceTtl, l1Get, l1Set, l1Size } = require('./memoryCache');
+const { recordCacheLookup, recordCacheTierLookup } = require('./metrics');
+
+// =====================================================
+// 🔥 REDIS CACHE SETUP
+// =====================================================
+
+let redisClient;
+let redisConnected = false;
+
+async function initializeRedis() {
+  try {
+    redisClient = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            console.log('❌ Redis max retries reached. Running without cache.');
+            return new Error('Redis max retries exceeded');
+          }
+          return Math.min(retries * 50, 500);
+        }
+      }
+    });
+
+    redisClient.on('error', (err) => {
+      console.error('❌ Redis Error:', err.message);
+      redisConnected = false;
+    });
+
+    redisClient.on('ready', () => {
+      console.log('✅ Redis cache READY! Cost optimization ACTIVE! 💰');
+      redisConnected = true;
+      resyncOutageWrites();
+    });
+
+    await redisClient.connect();
+  } catch (error) {
+    console.error('⚠️  Redis connection failed:', error.message);
+    console.log('⚠️  App will run on the in-memory cache only (higher API costs)');
+    redisConnected = false;
+  }
+}
+
+function isRedisConnected() {
+  return redisConnected;
+}
+
+// Raw client for counters/locks - check isRedisConnected() first
+function getRedisClient() {
+  return redisClient;
+}
+
+async function closeRedis() {
+  if (redisClient && redisConnected) {
+    await redisClient.quit();
+    console.log('Redis connection closed');
+  }
+}
+
+// =====================================================
+// 🧠 TWO-TIER READ/WRITE (L1 memory → Redis)
+// While Redis is down L1 works alone and remembers what it wrote;
+// those entries are copied back once Redis is ready again.
+// =====================================================
+
+const tierStats = {
+  l1: { hit: 0, miss: 0 },
+  redis: { hit: 0, miss: 0 }
+};
+
+// key → when the entry should expire in Redis (ms), for writes made during an outage
+const outageWrites = new Map();
+
+async function readRaw(key) {
+  const local = l1Get(key);
+  const l1Result = local !== undefined ? 'hit' : 'miss';
+  tierStats.l1[l1Result]++;
+  recordCacheTierLookup('l1', l1Result);
+  if (local !== undefined) return local;
+
+  if (!redisConnected) return null;
+
+  const raw = await redisClient.get(key);
+  const redisResult = raw ? 'hit' : 'miss';
+  tierStats.redis[redisResult]++;
+  recordCacheTierLookup('redis', redisResult);
+  if (raw) l1Set(key, raw, namespaceTtl(key));
+  return raw;
+}
+
+async function writeRaw(key, raw, ttl) {
+  if (!redisConnected) {
+    // L1 is the only tier - keep the entry as long as Redis would have
+    l1Set(key, raw, ttl);
+    outageWrites.set(key, Date.now() + ttl * 1000);
+    return;
+  }
+
+  l1Set(key, raw, Math.min(namespaceTtl(key), ttl));
+  await redisClient.setEx(key, ttl, raw);
+}
+
+// Copy entries cached during an outage into Redis without clobbering newer ones
+async function resyncOutageWrites() {
+  if (outageWrites.size === 0) return;
+
+  const pending = [...outageWrites.entries()];
+  outageWrites.clear();
+  let synced = 0;
+
+  for (const [key, expiresAt] of pending) {
+    const ttl = Math.ceil((expiresAt - Date.now()) / 1000);
+    const raw = l1Get(key);
+    if (ttl <= 0 || raw === undefined) continue;
+
+    try {
+      await redisClient.set(key, raw, { condition: 'NX', expiration: { type: 'EX', value: ttl } });
+      synced++;
+    } catch (error) {
+      console.error('Cache resync error:', error.message);
+      return;
+    }
+  }
+
+  console.log(`🔁 Re-synced ${synced} in-memory cache entries to Redis`);
+}
+
+/**
+ * Per-tier hit counts since startup plus L1 size.
+ */
+function getCacheTierStats() {
+  const withRate = ({ hit, miss }) => ({
+    hit,
+    miss,
+    hitRate: hit + miss ? Math.round((hit / (hit + miss)) * 1000) / 1000 : null
+  });
+
+  return {
+    redisConnected,
+    l1: { ...withRate(tierStats.l1), ...l1Size() },
+    redis: withRate(tierStats.redis),
+    pendingResync: outageWrites.size
+  };
+}
+
+// =====================================================
+// 💾 CACHE HELPER FUNCTIONS
+// =====================================================
+
+const CACHE_TTL = 24 * 60 * 60; // 24 hours in seconds
+
+async function getCachedData(key) {
+  try {
+    const cached = await readRaw(key);
+    if (cached) {
+      console.log(`🎯 CACHE HIT: Saved $0.007! (${key.substring(0, 40)}...)`);
+      return JSON.parse(cached);
+    }
+    console.log(`💸 CACHE MISS: Will cost $0.007 (${key.substring(0, 40)}...)`);
+    return null;
+  } catch (error) {
+    console.error('Cache read error:', error.message);
+    return null;
+  }
+}
+
+async function setCachedData(key, data, ttl = CACHE_TTL) {
+  try {
+    await writeRaw(key, JSON.stringify(data), ttl);
+    console.log(`💾 CACHED for 24h: Future requests FREE! (${key.substring(0, 40)}...)`);
+  } catch (error) {
+    console.error('Cache write error:', error.message);
+  }
+}
+
+// =====================================================
+// ♻️ STALE-WHILE-REVALIDATE + REQUEST COALESCING
+// Entries are stored as { data, freshUntil } and kept for
+// freshTtl + staleTtl. Fresh → served. Stale → served while one
+// background refresh runs. Missing → one upstream call per key:
+// in-process via a shared promise, across instances via a Redis lock.
+// =====================================================
+
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_POLL_MS = 100;
+
+// Compare-and-delete so a slow holder can't release someone else's lock
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// key → Promise of the in-flight fetch on this instance
+const inFlight = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function readEntry(key) {
+  try {
+    const raw = await readRaw(key);
+    const entry = raw ? JSON.parse(raw) : null;
+    // Plain setCachedData values (pre-SWR) count as misses
+    return entry && typeof entry.freshUntil === 'number' ? entry : null;
+  } catch (error) {
+    console.error('Cache read error:', error.message);
+    return null;
+  }
+}
+
+async function writeEntry(key, data, { freshTtl, staleTtl = 0 }) {
+  try {
+    const entry = { data, freshUntil: Date.now() + freshTtl * 1000 };
+    await writeRaw(key, JSON.stringify(entry), freshTtl + staleTtl);
+  } catch (error) {
+    console.error('Cache write error:', error.message);
+  }
+}
+
+async function acquireLock(key) {
+  if (!redisConnected) return null;
+
+  const token = crypto.randomUUID();
+  try {
+    const acquired = await redisClient.set(`lock:${key}`, token, {
+      condition: 'NX',
+      expiration: { type: 'PX', value: LOCK_TTL_MS }
+    });
+    return acquired ? token : null;
+  } catch (error) {
+    console.error('Cache lock error:', error.message);
+    // Redis trouble - don't block the request on a lock we can't see
+    return 'unlocked';
+  }
+}
+
+async function releaseLock(key, token) {
+  if (!redisConnected || !token || token === 'unlocked') return;
+
+  try {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [`lock:${key}`], arguments: [token] });
+  } catch (error) {
+    console.error('Cache unlock error:', error.message);
+  }
+}
+
+async function fetchAndStore(key, fetcher, policy, token) {
+  try {
+    const data = await fetcher();
+    if (!policy.shouldCache || policy.shouldCache(data)) {
+      await writeEntry(key, data, policy);
+    }
+    return data;
+  } finally {
+    await releaseLock(key, token);
+  }
+}
+
+// Another instance holds the lock - wait for its result, then give up and fetch
+async function waitForEntry(key) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    const entry = await readEntry(key);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+async function loadMissing(key, fetcher, policy) {
+  const token = await acquireLock(key);
+  if (token || !redisConnected) {
+    return fetchAndStore(key, fetcher, policy, token);
+  }
+
+  const entry = await waitForEntry(key);
+  if (entry) return entry.data;
+
+  console.log(`⏳ Cache lock wait timed out, fetching anyway (${key.substring(0, 40)}...)`);
+  return fetchAndStore(key, fetcher, policy, null);
+}
+
+function coalesce(key, load) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = load().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+function revalidateInBackground(key, fetcher, policy) {
+  const refreshKey = `revalidate:${key}`;
+  if (inFlight.has(refreshKey)) return;
+
+  coalesce(refreshKey, async () => {
+    const token = await acquireLock(key);
+    // Someone else is already refreshing this key
+    if (!token && redisConnected) return null;
+    return fetchAndStore(key, fetcher, policy, token);
+  }).catch(error => {
+    console.error(`Background refresh failed (${key.substring(0, 40)}...):`, error.message);
+  });
+}
+
+/**
+ * Read-through cache with stale-while-revalidate and request coalescing.
+ *
+ * @param {string} key
+ * @param {() => Promise<*>} fetcher - upstream call; its result must be JSON-serializable
+ * @param {Object} policy
+ * @param {number} policy.freshTtl - seconds an entry is served without refreshing
+ * @param {number} [policy.staleTtl] - extra seconds a stale entry may be served while refreshing
+ * @param {string} [policy.namespace] - records hit/stale/miss stats under this name
+ * @param {boolean} [policy.refresh] - skip the read and fetch now (still coalesced)
+ * @param {(data: *) => boolean} [policy.shouldCache] - e.g. skip caching upstream errors
+ * @param {boolean} [policy.cacheOnly] - never call upstream; null on a miss, stale served as-is
+ */
+async function cached(key, fetcher, policy) {
+  if (policy.cacheOnly) {
+    const entry = await readEntry(key);
+    if (policy.namespace) await recordCacheStat(policy.namespace, entry ? 'hit' : 'miss');
+    return entry ? entry.data : null;
+  }
+
+  if (!policy.refresh) {
+    const entry = await readEntry(key);
+
+    if (entry && entry.freshUntil > Date.now()) {
+      if (policy.namespace) await recordCacheStat(policy.namespace, 'hit');
+      console.log(`🎯 CACHE HIT: (${key.substring(0, 40)}...)`);
+      return entry.data;
+    }
+
+    if (entry) {
+      if (policy.namespace) await recordCacheStat(policy.namespace, 'stale');
+      console.log(`♻️ CACHE STALE: serving while refreshing (${key.substring(0, 40)}...)`);
+      revalidateInBackground(key, fetcher, policy);
+      return entry.data;
+    }
+
+    if (policy.namespace) await recordCacheStat(policy.namespace, 'miss');
+    console.log(`💸 CACHE MISS: (${key.substring(0, 40)}...)`);
+  }
+
+  return coalesce(key, () => loadMissing(key, fetcher, policy));
+}
+
+// Store data we already have (e.g. hours from a Details response) under a policy
+async function primeCache(key, data, policy) {
+  await writeEntry(key, data, policy);
+}
+
+// =====================================================
+// 📊 HIT/MISS STATISTICS
+// Daily Redis hash per day: field "<namespace>:<hit|stale|miss>"
+// =====================================================
+
+const STATS_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function statsKey(date) {
+  return `stats:cache:${date.toISOString().slice(0, 10)}`;
+}
+
+async function recordCacheStat(namespace, outcome) {
+  recordCacheLookup(namespace, outcome);
+  if (!redisConnected) return;
+
+  try {
+    const key = statsKey(new Date());
+    await redisClient.multi()
+      .hIncrBy(key, `${namespace}:${outcome}`, 1)
+      .expire(key, STATS_TTL_SECONDS)
+      .exec();
+  } catch (error) {
+    console.error('Cache stats error:', error.message);
+  }
+}
+
+/**
+ * Hit/miss counts per namespace for the last `days` UTC days (newest first).
+ * @returns {Promise<Array<{ date: string, namespaces: Object }>>}
+ */
+async function getCacheStats(days = 7) {
+  if (!redisConnected) return [];
+
+  const stats = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000);
+    const counts = await redisClient.hGetAll(statsKey(date));
+
+    const namespaces = {};
+    for (const [field, count] of Object.entries(counts)) {
+      const separator = field.lastIndexOf(':');
+      const namespace = field.slice(0, separator);
+      const outcome = field.slice(separator + 1);
+      namespaces[namespace] = namespaces[namespace] || { hit: 0, stale: 0, miss: 0 };
+      namespaces[namespace][outcome] = parseInt(count, 10);
+    }
+
+    for (const outcomes of Object.values(namespaces)) {
+      // Stale hits still avoid an upstream call on the request path
+      const served = outcomes.hit + outcomes.stale;
+      const total = served + outcomes.miss;
+      outcomes.hitRate = total ? Math.round((served / total) * 1000) / 1000 : null;
+    }
+
+    stats.push({ date: date.toISOString().slice(0, 10), namespaces });
+  }
+
+  return stats;
+}
+
+module.exports = {
+  CACHE_TTL,
+  initializeRedis,
+  isRedisConnected,
+  getRedisClient,
+  closeRedis,
+  getCachedData,
+  setCachedData,
+  cached,
+  primeCache,
+  recordCacheStat,
+  getCacheStats,
+  getCacheTierStats
+};
@@ -0,0 +1,278 @@
+const admin = require('firebase-admin');
+const { photosCollection, deleteScrapbookPhoto, withSignedUrls } = require('./scrapbookPhotos');
+
+// =====================================================
+// 💞 DATE MEMORIES (scrapbook entries)
+// dateMemories/{memoryId}:
+//   { ownerId, title, date: 'YYYY-MM-DD', placeId, eventId, notes,
+//     photoIds: [scrapbookPhotos ids], mood, rating: 1-5,
+//     createdAt, updatedAt }
+// A photo belongs to at most one memory (scrapbookPhotos.memoryId),
+// so deleting a memory can delete its Storage objects outright.
+// Listing needs the composite index ownerId ASC, date DESC, createdAt DESC.
+// =====================================================
+
+const COLLECTION = 'dateMemories';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const MAX_PHOTOS = 20;
+const LIMITS = { title: 120, notes: 5000, mood: 32, providerId: 200 };
+
+class MemoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MemoryError';
+    this.status = status;
+  }
+}
+
+function memoriesCollection() {
+  return admin.firestore().collection(COLLECTION);
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  return new Date(value).toISOString();
+}
+
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function optionalString(body, field, max) {
+  const value = body[field];
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > max) {
+    throw new MemoryError(`${field} must be a string of at most ${max} characters`);
+  }
+  return value.trim();
+}
+
+/**
+ * Pick and validate memory fields from a request body.
+ * With `partial`, missing fields are left out (PATCH); otherwise
+ * title and date are required.
+ */
+function parseMemoryInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > LIMITS.title) {
+      throw new MemoryError(`title is required (at most ${LIMITS.title} characters)`);
+    }
+    fields.title = body.title.trim();
+  }
+
+  if (body.date !== undefined || !partial) {
+    if (!isCalendarDate(body.date)) {
+      throw new MemoryError('date must be YYYY-MM-DD');
+    }
+    fields.date = body.date;
+  }
+
+  for (const [field, max] of [['placeId', LIMITS.providerId], ['eventId', LIMITS.providerId], ['notes', LIMITS.notes], ['mood', LIMITS.mood]]) {
+    const value = optionalString(body, field, max);
+    if (value !== undefined) fields[field] = value;
+    else if (!partial) fields[field] = null;
+  }
+
+  if (body.rating !== undefined) {
+    if (body.rating !== null && (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5)) {
+      throw new MemoryError('rating must be an integer from 1 to 5');
+    }
+    fields.rating = body.rating;
+  } else if (!partial) {
+    fields.rating = null;
+  }
+
+  if (body.photoIds !== undefined) {
+    if (!Array.isArray(body.photoIds) || body.photoIds.length > MAX_PHOTOS ||
+        body.photoIds.some(id => typeof id !== 'string' || !id)) {
+      throw new MemoryError(`photoIds must be an array of at most ${MAX_PHOTOS} photo ids`);
+    }
+    fields.photoIds = [...new Set(body.photoIds)];
+  } else if (!partial) {
+    fields.photoIds = [];
+  }
+
+  return fields;
+}
+
+// Photos must be the user's own uploads and not used by another memory
+async function checkPhotos(transaction, userId, memoryId, photoIds) {
+  if (photoIds.length === 0) return;
+
+  const snapshots = await transaction.getAll(...photoIds.map(id => photosCollection().doc(id)));
+  for (const snapshot of snapshots) {
+    const photo = snapshot.data();
+    if (!snapshot.exists || photo.ownerId !== userId) {
+      throw new MemoryError(`Photo not found: ${snapshot.id}`);
+    }
+    if (photo.memoryId && photo.memoryId !== memoryId) {
+      throw new MemoryError(`Photo ${snapshot.id} is already attached to another memory`, 409);
+    }
+  }
+}
+
+function linkPhotos(transaction, photoIds, memoryId) {
+  for (const id of photoIds) {
+    transaction.update(photosCollection().doc(id), {
+      memoryId: memoryId || admin.firestore.FieldValue.delete()
+    });
+  }
+}
+
+/**
+ * Client shape, with signed URLs for attached photos.
+ * Photos deleted out from under a memory are skipped.
+ */
+async function toMemoryView(id, memory) {
+  const photoIds = memory.photoIds || [];
+  const snapshots = photoIds.length
+    ? await admin.firestore().getAll(...photoIds.map(photoId => photosCollection().doc(photoId)))
+    : [];
+  const photos = await Promise.all(
+    snapshots.filter(snapshot => snapshot.exists).map(snapshot => withSignedUrls(snapshot.id, snapshot.data()))
+  );
+
+  return {
+    id,
+    title: memory.title,
+    date: memory.date,
+    placeId: memory.placeId || null,
+    eventId: memory.eventId || null,
+    notes: memory.notes || null,
+    mood: memory.mood || null,
+    rating: memory.rating ?? null,
+    photos,
+    createdAt: toIso(memory.createdAt),
+    updatedAt: toIso(memory.updatedAt)
+  };
+}
+
+async function ownedMemory(userId, memoryId, transaction) {
+  const ref = memoriesCollection().doc(memoryId);
+  const snapshot = transaction ? await transaction.get(ref) : await ref.get();
+
+  // Someone else's memory looks the same as a missing one
+  if (!snapshot.exists || snapshot.data().ownerId !== userId) {
+    throw new MemoryError('Memory not found', 404);
+  }
+  return { ref, memory: snapshot.data() };
+}
+
+async function createMemory(userId, body) {
+  const fields = parseMemoryInput(body);
+  const ref = memoriesCollection().doc();
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    await checkPhotos(transaction, userId, ref.id, fields.photoIds);
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(ref, { ownerId: userId, ...fields, createdAt: now, updatedAt: now });
+    linkPhotos(transaction, fields.photoIds, ref.id);
+  });
+
+  const snapshot = await ref.get();
+  return toMemoryView(ref.id, snapshot.data());
+}
+
+async function getMemory(userId, memoryId) {
+  const { memory } = await ownedMemory(userId, memoryId);
+  return toMemoryView(memoryId, memory);
+}
+
+/**
+ * Newest dates first. `cursor` is the id of the last memory of the previous page.
+ * @returns {Promise<{ memories: Object[], nextCursor: string|null }>}
+ */
+async function listMemories(userId, { limit, cursor } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let query = memoriesCollection()
+    .where('ownerId', '==', userId)
+    .orderBy('date', 'desc')
+    .orderBy('createdAt', 'desc')
+    .limit(pageSize + 1);
+
+  if (cursor) {
+    const after = await memoriesCollection().doc(cursor).get();
+    if (!after.exists || after.data().ownerId !== userId) {
+      throw new MemoryError('Invalid cursor');
+    }
+    query = query.startAfter(after);
+  }
+
+  const snapshot = await query.get();
+  const page = snapshot.docs.slice(0, pageSize);
+
+  return {
+    memories: await Promise.all(page.map(doc => toMemoryView(doc.id, doc.data()))),
+    nextCursor: snapshot.docs.length > pageSize ? page[page.length - 1].id : null
+  };
+}
+
+async function updateMemory(userId, memoryId, body) {
+  const fields = parseMemoryInput(body, { partial: true });
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const { ref, memory } = await ownedMemory(userId, memoryId, transaction);
+
+    if (fields.photoIds) {
+      const previous = memory.photoIds || [];
+      const detached = previous.filter(id => !fields.photoIds.includes(id));
+
+      // All reads before any write
+      await checkPhotos(transaction, userId, memoryId, fields.photoIds);
+      const detachedSnapshots = detached.length
+        ? await transaction.getAll(...detached.map(id => photosCollection().doc(id)))
+        : [];
+
+      // Detached photos stay in the user's library
+      linkPhotos(transaction, detachedSnapshots.filter(snapshot => snapshot.exists).map(snapshot => snapshot.id), null);
+      linkPhotos(transaction, fields.photoIds.filter(id => !previous.includes(id)), memoryId);
+    }
+
+    transaction.update(ref, { ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  });
+
+  return getMemory(userId, memoryId);
+}
+
+/**
+ * Delete a memory and its photos (Storage objects and records).
+ * Photos go first so a failed delete can simply be retried.
+ */
+async function deleteMemory(userId, memoryId) {
+  const { ref, memory } = await ownedMemory(userId, memoryId);
+  const photoIds = memory.photoIds || [];
+
+  const snapshots = photoIds.length
+    ? await admin.firestore().getAll(...photoIds.map(id => photosCollection().doc(id)))
+    : [];
+  const photos = snapshots.filter(snapshot => snapshot.exists && snapshot.data().ownerId === userId);
+
+  // One at a time - each delete updates the same user and memory docs
+  for (const snapshot of photos) {
+    await deleteScrapbookPhoto(snapshot.id, snapshot.data());
+  }
+  await ref.delete();
+
+  return { deletedPhotos: photos.length };
+}
+
+module.exports = {
+  MemoryError,
+  parseMemoryInput,
+  createMemory,
+  getMemory,
+  listMemories,
+  updateMemory,
+  deleteMemory
+};
@@ -0,0 +1,207 @@
+const admin = require('firebase-admin');
+
+// =====================================================
+// 🎟️ UNIFIED ENTITLEMENTS (Stripe + Apple)
+// Every billing handler writes its source's state through here.
+// Per-source state lives in users/{uid}.entitlements.{stripe|apple};
+// the resolved result goes to users/{uid}.entitlement, and the legacy
+// fields clients already read (subscriptionStatus, isPremium,
+// subscriptionType, subscriptionPlatform) are kept in sync from it.
+// =====================================================
+
+const SOURCES = ['stripe', 'apple'];
+
+// Source statuses that grant access
+const ENTITLED_STATUSES = ['active', 'trial', 'grace'];
+
+// Higher wins when a user is entitled through more than one source
+const TIER_RANK = { free: 0, trial: 1, premium: 2 };
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  return new Date(value).toISOString();
+}
+
+// Is a single source currently granting access?
+function isSourceEntitled(state, now = new Date()) {
+  if (!state || !ENTITLED_STATUSES.includes(state.status)) return false;
+
+  if (state.status === 'grace') {
+    return !state.gracePeriodEndsAt || new Date(state.gracePeriodEndsAt) > now;
+  }
+
+  return !state.expiresAt || new Date(state.expiresAt) > now;
+}
+
+function tierForSource(state) {
+  return state.status === 'trial' || state.isTrial ? 'trial' : 'premium';
+}
+
+// Users written before the entitlement model only have the legacy fields
+function legacySources(userData = {}) {
+  const sources = {};
+
+  if (userData.stripeSubscriptionId || userData.subscriptionStatus) {
+    const status = userData.subscriptionStatus;
+    sources.stripe = {
+      status: status === 'trial' ? 'trial' : status === 'premium' ? 'active' : 'expired',
+      plan: null,
+      expiresAt: toIso(status === 'trial' ? userData.trialEndsAt : userData.currentPeriodEnd),
+      isTrial: status === 'trial',
+      willCancelAt: toIso(userData.subscriptionWillCancelAt)
+    };
+  }
+
+  if (userData.subscriptionPlatform === 'apple') {
+    sources.apple = {
+      status: userData.isPremium ? 'active' : 'expired',
+      plan: userData.subscriptionType !== 'free' ? userData.subscriptionType || null : null,
+      expiresAt: toIso(userData.appleSubscriptionExpiry),
+      isTrial: false
+    };
+  }
+
+  return sources;
+}
+
+function sourcesFor(userData = {}) {
+  return userData.entitlements || legacySources(userData);
+}
+
+/**
+ * Resolve the effective entitlement from per-source states.
+ * Prefers premium over trial, then the latest expiry (no expiry = open ended).
+ */
+function resolveEntitlement(sources = {}, now = new Date()) {
+  const entitled = SOURCES
+    .filter(source => isSourceEntitled(sources[source], now))
+    .map(source => ({ source, state: sources[source], tier: tierForSource(sources[source]) }))
+    .sort((a, b) => {
+      if (TIER_RANK[b.tier] !== TIER_RANK[a.tier]) return TIER_RANK[b.tier] - TIER_RANK[a.tier];
+      const aExpiry = a.state.expiresAt ? new Date(a.state.expiresAt).getTime() : Infinity;
+      const bExpiry = b.state.expiresAt ? new Date(b.state.expiresAt).getTime() : Infinity;
+      return bExpiry - aExpiry;
+    });
+
+  if (entitled.length === 0) {
+    return {
+      tier: 'free',
+      source: null,
+      plan: null,
+      expiresAt: null,
+      isTrial: false,
+      inGracePeriod: false,
+      gracePeriodEndsAt: null,
+      willCancelAt: null,
+      conflict: false
+    };
+  }
+
+  const { source, state, tier } = entitled[0];
+
+  return {
+    tier,
+    source,
+    plan: state.plan || null,
+    expiresAt: state.expiresAt || null,
+    isTrial: tier === 'trial',
+    inGracePeriod: state.status === 'grace',
+    gracePeriodEndsAt: state.gracePeriodEndsAt || null,
+    willCancelAt: state.willCancelAt || null,
+    // Entitled through several stores at once (e.g. web + App Store)
+    conflict: entitled.length > 1
+  };
+}
+
+// Legacy fields existing clients read
+function legacyFieldsFor(entitlement) {
+  const fields = {
+    subscriptionStatus: entitlement.tier,
+    isPremium: entitlement.tier !== 'free',
+    subscriptionType: entitlement.tier === 'free' ? 'free' : entitlement.plan || 'monthly'
+  };
+
+  // Keep the last platform when downgrading so support can see where it lapsed
+  if (entitlement.source) {
+    fields.subscriptionPlatform = entitlement.source;
+  }
+
+  return fields;
+}
+
+/**
+ * Record one source's subscription state for a user and recompute the
+ * effective entitlement in the same transaction.
+ *
+ * @param {string} userId
+ * @param {'stripe'|'apple'} source
+ * @param {Object} state - { status, plan, expiresAt, isTrial, gracePeriodEndsAt, willCancelAt }
+ * @param {Object} [extraFields] - source-specific user fields to write alongside
+ * @returns {Promise<Object>} the resolved entitlement
+ */
+async function updateEntitlement(userId, source, state, extraFields = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown entitlement source: ${source}`);
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  const entitlement = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const userData = userDoc.data() || {};
+
+    const sourceState = {
+      status: state.status,
+      plan: state.plan || null,
+      expiresAt: toIso(state.expiresAt),
+      isTrial: !!state.isTrial,
+      gracePeriodEndsAt: toIso(state.gracePeriodEndsAt),
+      willCancelAt: toIso(state.willCancelAt),
+      updatedAt: new Date().toISOString()
+    };
+
+    const sources = { ...sourcesFor(userData), [source]: sourceState };
+    const entitlement = resolveEntitlement(sources);
+
+    transaction.set(userRef, {
+      ...extraFields,
+      entitlements: sources,
+      entitlement: { ...entitlement, resolvedAt: new Date().toISOString() },
+      ...legacyFieldsFor(entitlement),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    if (entitlement.conflict) {
+      console.log(`⚠️ User ${userId} is entitled through multiple sources, using ${entitlement.source}`);
+    }
+
+    return entitlement;
+  });
+
+  // Required here, not at the top - quotas.js requires this module
+  await require('./quotas').clearTierCache(userId);
+  return entitlement;
+}
+
+/**
+ * Read a user's entitlement, re-resolved against the current time so
+ * lapsed expiries are reflected even before the next webhook arrives.
+ */
+async function getEntitlement(userId) {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const sources = sourcesFor(userDoc.data());
+
+  return {
+    ...resolveEntitlement(sources),
+    sources
+  };
+}
+
+module.exports = {
+  ENTITLED_STATUSES,
+  resolveEntitlement,
+  updateEntitlement,
+  getEntitlement
+};
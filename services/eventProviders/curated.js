@@ -0,0 +1,98 @@
+const admin = require('firebase-admin');
+const { distanceKm } = require('../geo');
+
+// =====================================================
+// 💞 CURATED EVENT PROVIDER
+// Community and partner events from the Firestore `events` collection:
+// { name, startAt (Timestamp), endAt, venueName, address,
+//   location { lat, lng } or GeoPoint, imageUrl, url, priceRange,
+//   priceMin, priceMax, priceCurrency,
+//   partner, status: 'published' }
+// =====================================================
+
+const KM_PER_MILE = 1.609344;
+
+// Firestore stores these as Timestamps; tolerate ISO strings from the console
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+function locationOf(event) {
+  const location = event.location || {};
+  return {
+    lat: location.latitude !== undefined ? location.latitude : location.lat,
+    lng: location.longitude !== undefined ? location.longitude : location.lng
+  };
+}
+
+module.exports = {
+  name: 'curated',
+
+  // Short so edits in the console show up quickly
+  cacheTtl: 15 * 60,
+  staleTtl: 5 * 60,
+
+  isEnabled() {
+    return admin.apps.length > 0;
+  },
+
+  async search({ lat, lng, radiusMiles, keyword, startDateTime, endDateTime }) {
+    let query = admin.firestore().collection('events').where('status', '==', 'published');
+
+    // Without a window, upcoming events only - the limit would otherwise fill up with past ones
+    query = query.where('startAt', '>=', startDateTime ? new Date(startDateTime) : new Date());
+    if (endDateTime) query = query.where('startAt', '<=', new Date(endDateTime));
+
+    const snapshot = await query.orderBy('startAt').limit(100).get();
+    const maxKm = (radiusMiles || 25) * KM_PER_MILE;
+    const origin = { lat: Number(lat), lng: Number(lng) };
+    const keywordLower = keyword ? keyword.toLowerCase() : null;
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(event => {
+        const location = locationOf(event);
+        if (location.lat === undefined || location.lng === undefined) return false;
+        return distanceKm(origin, location) <= maxKm;
+      })
+      .filter(event => !keywordLower || keywordLower.split(' ').some(kw =>
+        `${event.name} ${event.description || ''} ${event.venueName || ''}`.toLowerCase().includes(kw)
+      ));
+  },
+
+  async getById(id) {
+    const doc = await admin.firestore().collection('events').doc(id).get();
+    return doc.exists && doc.data().status === 'published' ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  normalize(event) {
+    const start = toDate(event.startAt);
+    const location = locationOf(event);
+
+    return {
+      place_id: `curated_${event.id}`,
+      name: event.name,
+      vicinity: event.address || event.venueName || '',
+      geometry: { location },
+      rating: null,
+      photos: event.imageUrl ? [{
+        photo_reference: event.imageUrl,
+        isDirectUrl: true
+      }] : [],
+      types: ['event'],
+      isEvent: true,
+      eventProvider: 'curated',
+      partner: event.partner || null,
+      eventDate: event.localDate || (start ? start.toISOString().split('T')[0] : null),
+      eventTime: event.localTime || null,
+      eventStart: start ? start.toISOString() : null,
+      priceRange: event.priceRange || null,
+      priceMin: event.priceMin ?? null,
+      priceMax: event.priceMax ?? null,
+      priceCurrency: event.priceCurrency || null,
+      website: event.url || null,
+      venueName: event.venueName || null
+    };
+  }
+};
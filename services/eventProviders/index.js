@@ -0,0 +1,196 @@
+const { cached } = require('../cache');
+const ticketmaster = require('./ticketmaster');
+const curated = require('./curated');
+
+// =====================================================
+// 🎉 EVENT PROVIDER REGISTRY
+// A provider is { name, cacheTtl, staleTtl?, isEnabled(), search(query),
+// getById?(id), normalize(raw, query) }.
+// search() returns raw provider events, getById() one of them (or null);
+// normalize() maps one into the
+// isEvent place shape /api/places returns (services/placeSchema builds the
+// v2 model from it). Earlier providers win duplicates.
+// =====================================================
+
+const providers = [ticketmaster, curated];
+
+// Optional allow-list, e.g. EVENT_PROVIDERS=ticketmaster
+function enabledProviders() {
+  const allowList = process.env.EVENT_PROVIDERS
+    ? process.env.EVENT_PROVIDERS.split(',').map(name => name.trim())
+    : null;
+
+  return providers.filter(provider =>
+    (!allowList || allowList.includes(provider.name)) && provider.isEnabled()
+  );
+}
+
+function registerEventProvider(provider) {
+  if (providers.some(existing => existing.name === provider.name)) {
+    throw new Error(`Event provider already registered: ${provider.name}`);
+  }
+  providers.push(provider);
+}
+
+// Presets start at the top of the current hour so cache keys stay stable
+function startOfHour(date = new Date()) {
+  const start = new Date(date);
+  start.setMinutes(0, 0, 0);
+  return start;
+}
+
+// Start/end window for the dateRange presets the frontend sends
+function eventDateWindow(dateRange, selectedDate) {
+  if (dateRange === 'today') {
+    const today = new Date().toISOString().split('T')[0];
+    return { startDateTime: `${today}T00:00:00Z`, endDateTime: `${today}T23:59:59Z` };
+  }
+
+  if (dateRange === 'thisweek') {
+    const today = startOfHour();
+    const endOfWeek = new Date(today);
+    endOfWeek.setDate(today.getDate() + 7);
+    return { startDateTime: today.toISOString(), endDateTime: endOfWeek.toISOString() };
+  }
+
+  if (dateRange === 'thismonth') {
+    const today = startOfHour();
+    const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+    return { startDateTime: today.toISOString(), endDateTime: endOfMonth.toISOString() };
+  }
+
+  if (dateRange === 'custom' && selectedDate) {
+    return { startDateTime: `${selectedDate}T00:00:00Z`, endDateTime: `${selectedDate}T23:59:59Z` };
+  }
+
+  return {};
+}
+
+// Client-supplied window bounds: anything Date can parse
+function isEventDateTime(value) {
+  return (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value));
+}
+
+// selectedDate for dateRange=custom: a real calendar day as YYYY-MM-DD
+function isEventDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// Same event listed by several providers: same name (ignoring punctuation) on the same day
+function dedupeKey(event) {
+  const name = (event.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return `${name}:${event.eventDate || ''}`;
+}
+
+function isoOrEmpty(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+async function searchProvider(provider, query) {
+  const cacheKey = `events:${provider.name}:${query.lat}:${query.lng}:${query.radiusMiles || ''}:` +
+    `${isoOrEmpty(query.startDateTime)}:${isoOrEmpty(query.endDateTime)}:${query.keyword || ''}`;
+
+  // Empty results aren't cached so a new listing shows up on the next search
+  const events = await cached(cacheKey, async () => {
+    const rawEvents = await provider.search(query);
+    return rawEvents.map(raw => provider.normalize(raw, query));
+  }, {
+    freshTtl: provider.cacheTtl,
+    staleTtl: provider.staleTtl || 0,
+    namespace: `events:${provider.name}`,
+    shouldCache: results => results.length > 0
+  });
+
+  console.log(`🎉 Got ${events.length} events from ${provider.name}`);
+  return events;
+}
+
+/**
+ * Search every enabled provider, merge and de-duplicate.
+ * A failing provider is logged and skipped.
+ *
+ * @param {Object} query
+ * @param {number|string} query.lat
+ * @param {number|string} query.lng
+ * @param {string} [query.keyword]
+ * @param {number} [query.radiusMiles]
+ * @param {string} [query.dateRange] - today|thisweek|thismonth|custom (with selectedDate)
+ * @param {string|Date} [query.startDateTime] - explicit window, overrides dateRange
+ * @param {string|Date} [query.endDateTime]
+ * @returns {Promise<Array>} events in the isEvent place shape, sorted by start
+ */
+async function searchEvents(query) {
+  const window = query.startDateTime || query.endDateTime
+    ? { startDateTime: query.startDateTime, endDateTime: query.endDateTime }
+    : eventDateWindow(query.dateRange, query.selectedDate);
+
+  const providerQuery = {
+    lat: query.lat,
+    lng: query.lng,
+    keyword: query.keyword,
+    radiusMiles: query.radiusMiles,
+    ...window
+  };
+
+  const results = await Promise.all(enabledProviders().map(async (provider) => {
+    try {
+      return await searchProvider(provider, providerQuery);
+    } catch (error) {
+      console.error(`Error fetching ${provider.name} events:`, error.message);
+      return [];
+    }
+  }));
+
+  const seen = new Set();
+  const merged = results.flat().filter(event => {
+    const key = dedupeKey(event);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return merged.sort((a, b) =>
+    (a.eventStart ? Date.parse(a.eventStart) : Infinity) - (b.eventStart ? Date.parse(b.eventStart) : Infinity)
+  );
+}
+
+function lookupProvider(providerName) {
+  return enabledProviders().find(provider => provider.name === providerName && provider.getById);
+}
+
+// Can getEvent() fetch this provider's events by id?
+function canLookUpEvents(providerName) {
+  return !!lookupProvider(providerName);
+}
+
+/**
+ * One event by provider id, straight from the provider - snapshots never
+ * trust event data (or photo URLs) sent by a client.
+ * @returns {Promise<Object|null>} the isEvent place shape, or null if not found
+ */
+async function getEvent(providerName, providerId) {
+  const provider = lookupProvider(providerName);
+  if (!provider) return null;
+
+  return cached(`event:${provider.name}:${providerId}`, async () => {
+    const raw = await provider.getById(providerId);
+    return raw ? provider.normalize(raw, {}) : null;
+  }, {
+    freshTtl: provider.cacheTtl,
+    staleTtl: provider.staleTtl || 0,
+    namespace: `events:${provider.name}`,
+    shouldCache: event => !!event
+  });
+}
+
+module.exports = {
+  registerEventProvider,
+  enabledProviders,
+  searchEvents,
+  canLookUpEvents,
+  getEvent,
+  isEventDateTime,
+  isEventDate
+};
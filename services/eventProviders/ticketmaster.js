@@ -0,0 +1,109 @@
+const axios = require('axios');
+
+// =====================================================
+// 🎫 TICKETMASTER EVENT PROVIDER
+// =====================================================
+
+// Ticketmaster wants second precision without milliseconds
+function ticketmasterDateTime(value) {
+  return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Venue coordinates, else the search origin (null for lookups by id)
+function coordinate(value, fallback) {
+  const parsed = parseFloat(value ?? fallback);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Raw Discovery API search. Also backs the legacy /api/ticketmaster proxy.
+ * @returns {Promise<Object>} Ticketmaster response body
+ */
+async function fetchTicketmasterEvents({ lat, lng, radiusMiles, keyword, startDateTime, endDateTime }) {
+  const params = {
+    apikey: process.env.TICKETMASTER_API_KEY,
+    latlong: `${lat},${lng}`,
+    radius: radiusMiles || 25,
+    unit: 'miles',
+    size: 20,
+    sort: 'date,asc'
+  };
+
+  if (keyword) params.keyword = keyword;
+  if (startDateTime) params.startDateTime = ticketmasterDateTime(startDateTime);
+  if (endDateTime) params.endDateTime = ticketmasterDateTime(endDateTime);
+
+  const response = await axios.get(
+    'https://app.ticketmaster.com/discovery/v2/events.json',
+    { params }
+  );
+
+  return response.data;
+}
+
+module.exports = {
+  name: 'ticketmaster',
+
+  // 💾 CACHE EVENTS FOR 6 HOURS
+  cacheTtl: 6 * 60 * 60,
+  // ...then served stale for up to 2 hours while refreshing
+  staleTtl: 2 * 60 * 60,
+
+  isEnabled() {
+    return !!process.env.TICKETMASTER_API_KEY;
+  },
+
+  async search(query) {
+    const data = await fetchTicketmasterEvents(query);
+    return data._embedded?.events || [];
+  },
+
+  // Event details by id; null when Ticketmaster doesn't know it (any more)
+  async getById(id) {
+    try {
+      const response = await axios.get(
+        `https://app.ticketmaster.com/discovery/v2/events/${encodeURIComponent(id)}.json`,
+        { params: { apikey: process.env.TICKETMASTER_API_KEY } }
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  },
+
+  normalize(event, { lat, lng } = {}) {
+    const venue = event._embedded?.venues?.[0];
+
+    return {
+      place_id: `ticketmaster_${event.id}`,
+      name: event.name,
+      vicinity: venue?.address?.line1 || venue?.name || '',
+      geometry: {
+        location: {
+          lat: coordinate(venue?.location?.latitude, lat),
+          lng: coordinate(venue?.location?.longitude, lng)
+        }
+      },
+      rating: null,
+      photos: event.images?.[0] ? [{
+        photo_reference: event.images[0].url,
+        isDirectUrl: true
+      }] : [],
+      types: ['event'],
+      isEvent: true,
+      eventProvider: 'ticketmaster',
+      eventDate: event.dates?.start?.localDate,
+      eventTime: event.dates?.start?.localTime,
+      eventStart: event.dates?.start?.dateTime || null,
+      priceRange: event.priceRanges?.[0] ? `$${event.priceRanges[0].min}-$${event.priceRanges[0].max}` : null,
+      priceMin: event.priceRanges?.[0]?.min ?? null,
+      priceMax: event.priceRanges?.[0]?.max ?? null,
+      priceCurrency: event.priceRanges?.[0]?.currency || null,
+      website: event.url,
+      venueName: venue?.name
+    };
+  },
+
+  fetchTicketmasterEvents
+};
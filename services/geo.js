@@ -0,0 +1,110 @@
+// =====================================================
+// 🌍 GEO HELPERS
+// =====================================================
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance between two { lat, lng } points
+function distanceKm(from, to) {
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+}
+
+// =====================================================
+// 🔲 GEOHASH
+// Base32 cells used to bucket nearby requests into shared cache keys
+// =====================================================
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const METERS_PER_DEGREE = 111320;
+
+function geohashEncode(lat, lng, precision) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // geohash interleaves starting with longitude
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Center point of a geohash cell
+function geohashCenter(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2
+  };
+}
+
+// Approximate cell size in meters at a latitude
+function geohashCellSize(precision, lat) {
+  const lngBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+
+  return {
+    height: (180 / 2 ** latBits) * METERS_PER_DEGREE,
+    width: (360 / 2 ** lngBits) * METERS_PER_DEGREE * Math.cos(toRadians(lat))
+  };
+}
+
+/**
+ * Coarsest geohash precision whose cells are no bigger than maxCellMeters.
+ */
+function geohashPrecisionFor(maxCellMeters, lat) {
+  for (let precision = 1; precision < 12; precision++) {
+    const { width, height } = geohashCellSize(precision, lat);
+    if (Math.max(width, height) <= maxCellMeters) return precision;
+  }
+  return 12;
+}
+
+module.exports = {
+  distanceKm,
+  geohashEncode,
+  geohashCenter,
+  geohashCellSize,
+  geohashPrecisionFor
+};
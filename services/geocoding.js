@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { cached } = require('./cache');
+const { isPlacesCacheOnly } = require('./usage');
+
+// =====================================================
+// 📍 REVERSE GEOCODING + ADDRESS AUTOCOMPLETE
+// Trimmed, normalized shapes instead of raw Google responses
+// =====================================================
+
+// Addresses rarely change - fresh for 30 days, then a week of stale-while-refresh
+const REVERSE_CACHE_POLICY = { freshTtl: 30 * 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60, namespace: 'geocode' };
+const AUTOCOMPLETE_CACHE_POLICY = { freshTtl: 24 * 60 * 60, staleTtl: 24 * 60 * 60, namespace: 'autocomplete' };
+const PLACE_CACHE_POLICY = { freshTtl: 30 * 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60, namespace: 'geocode' };
+
+// ~11m - GPS jitter on the same street shares a cache entry
+const REVERSE_PRECISION = 4;
+
+// ~1km cells for autocomplete location bias
+const BIAS_PRECISION = 2;
+
+function component(components, type) {
+  const match = (components || []).find(c => c.types.includes(type));
+  return match ? match.long_name : null;
+}
+
+/**
+ * Google geocode/details result → { label, formattedAddress, neighborhood, ... }
+ */
+function normalizeAddress(result) {
+  const components = result.address_components;
+  const neighborhood = component(components, 'neighborhood') ||
+    component(components, 'sublocality_level_1') ||
+    component(components, 'sublocality');
+  const locality = component(components, 'locality') || component(components, 'postal_town');
+  const adminArea = component(components, 'administrative_area_level_1');
+
+  return {
+    label: [neighborhood || locality, neighborhood ? locality : adminArea].filter(Boolean).join(', ') ||
+      result.formatted_address || null,
+    formattedAddress: result.formatted_address || null,
+    neighborhood,
+    locality,
+    adminArea,
+    country: component(components, 'country'),
+    postalCode: component(components, 'postal_code'),
+    location: result.geometry?.location || null,
+    placeId: result.place_id || null
+  };
+}
+
+/**
+ * Device lat/lng → neighborhood label. Cached per ~11m cell.
+ * @returns {Promise<Object|null>} normalized address, or null if Google found nothing
+ */
+async function reverseGeocode(lat, lng) {
+  const cellLat = Number(lat).toFixed(REVERSE_PRECISION);
+  const cellLng = Number(lng).toFixed(REVERSE_PRECISION);
+
+  const cacheKey = `geocode:reverse:${cellLat}:${cellLng}`;
+
+  return cached(cacheKey, async () => {
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/geocode/json',
+      {
+        params: {
+          latlng: `${cellLat},${cellLng}`,
+          key: process.env.GOOGLE_MAPS_API_KEY
+        }
+      }
+    );
+
+    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+      throw new Error(`Reverse geocoding failed: ${response.data.status}`);
+    }
+
+    // The first result is the most specific (usually a street address)
+    const first = response.data.results?.[0];
+    return first ? normalizeAddress(first) : null;
+  }, REVERSE_CACHE_POLICY);
+}
+
+function newSessionToken() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Address/place predictions for a partial input.
+ * The session token groups keystrokes with the final place lookup so Google
+ * bills one session instead of every request. Predictions are shared across
+ * sessions via the cache.
+ */
+async function autocomplete({ input, sessionToken, lat, lng }) {
+  const biasCell = lat !== undefined && lng !== undefined
+    ? `${Number(lat).toFixed(BIAS_PRECISION)}:${Number(lng).toFixed(BIAS_PRECISION)}`
+    : 'global';
+
+  const cacheKey = `geocode:autocomplete:${input.trim().toLowerCase()}:${biasCell}`;
+
+  return cached(cacheKey, async () => {
+    const params = {
+      input,
+      sessiontoken: sessionToken,
+      key: process.env.GOOGLE_MAPS_API_KEY
+    };
+
+    if (biasCell !== 'global') {
+      params.location = `${lat},${lng}`;
+      params.radius = 50000;
+    }
+
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/autocomplete/json',
+      { params }
+    );
+
+    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+      throw new Error(`Autocomplete failed: ${response.data.status}`);
+    }
+
+    return (response.data.predictions || []).map(prediction => ({
+      placeId: prediction.place_id,
+      description: prediction.description,
+      mainText: prediction.structured_formatting?.main_text || prediction.description,
+      secondaryText: prediction.structured_formatting?.secondary_text || null,
+      types: prediction.types || []
+    }));
+  }, AUTOCOMPLETE_CACHE_POLICY);
+}
+
+/**
+ * Resolve a chosen prediction to coordinates, closing the autocomplete session.
+ * With a session token Details is called even when cached - an unclosed
+ * session bills every autocomplete keystroke on its own.
+ */
+async function resolvePlace({ placeId, sessionToken }) {
+  const closeSession = !!sessionToken && !(await isPlacesCacheOnly());
+
+  return cached(`geocode:place:${placeId}`, async () => {
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/details/json',
+      {
+        params: {
+          place_id: placeId,
+          // Basic Data fields only - billed with the autocomplete session
+          fields: 'place_id,formatted_address,address_components,geometry',
+          sessiontoken: sessionToken,
+          key: process.env.GOOGLE_MAPS_API_KEY
+        }
+      }
+    );
+
+    if (response.data.status !== 'OK') {
+      throw new Error(`Place lookup failed: ${response.data.status}`);
+    }
+
+    return normalizeAddress(response.data.result);
+  }, { ...PLACE_CACHE_POLICY, refresh: closeSession });
+}
+
+module.exports = {
+  newSessionToken,
+  reverseGeocode,
+  autocomplete,
+  resolvePlace
+};
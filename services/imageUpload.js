@@ -0,0 +1,175 @@
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// =====================================================
+// 📸 SCRAPBOOK UPLOAD PIPELINE
+// The declared MIME type is ignored - the first bytes decide. Every
+// upload is re-encoded, which rotates it upright and drops EXIF (GPS,
+// device, timestamps). HEIC from iPhones becomes JPEG, and a thumbnail
+// is rendered alongside. Storage lives in services/scrapbookPhotos.js.
+// =====================================================
+
+// Long edge caps, in pixels
+const ORIGINAL_MAX_EDGE = 4096;
+const THUMBNAIL_MAX_EDGE = 400;
+
+// Refuse decompression bombs before decoding (~50 megapixels)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const JPEG_QUALITY = 88;
+const THUMBNAIL_QUALITY = 80;
+
+// ISO BMFF brands used by HEIC/HEIF stills
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+
+class ImageUploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageUploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Sniff the real image type from magic bytes.
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|'image/heic'|null}
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  // ....ftyp<major brand>
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    return 'image/heic';
+  }
+
+  return null;
+}
+
+/**
+ * Largest image size declared in a HEIF's ispe boxes (meta → iprp → ipco),
+ * read without decoding. Every HEIF image item must carry one.
+ * @returns {{ width: number, height: number } | null}
+ */
+function heifDimensions(buffer) {
+  let largest = null;
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      let header = 8;
+      if (size === 1) {
+        if (offset + 16 > end) return;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset; // box runs to the end
+      }
+      if (size < header || offset + size > end) return;
+
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      if (type === 'meta') {
+        walk(offset + header + 4, offset + size); // full box: skip version + flags
+      } else if (type === 'iprp' || type === 'ipco') {
+        walk(offset + header, offset + size);
+      } else if (type === 'ispe' && size >= header + 12) {
+        const width = buffer.readUInt32BE(offset + header + 4);
+        const height = buffer.readUInt32BE(offset + header + 8);
+        if (!largest || width * height > largest.width * largest.height) largest = { width, height };
+      }
+      offset += size;
+    }
+  };
+
+  walk(0, buffer.length);
+  return largest;
+}
+
+// PNG keeps transparency; everything else is stored as JPEG
+function encode(pipeline, type, quality) {
+  return type === 'image/png'
+    ? pipeline.png({ compressionLevel: 9 })
+    : pipeline.jpeg({ quality, mozjpeg: true });
+}
+
+/**
+ * Validate and re-encode an upload.
+ * @returns {Promise<{ original: ProcessedImage, thumbnail: ProcessedImage }>}
+ *   ProcessedImage = { buffer, contentType, extension, width, height }
+ */
+async function processImage(input) {
+  const detectedType = detectImageType(input);
+  if (!detectedType) {
+    throw new ImageUploadError(`Unsupported image type. Allowed: ${ALLOWED_TYPES.join(', ')}`, 415);
+  }
+
+  let buffer = input;
+  if (detectedType === 'image/heic') {
+    // heic-convert decodes the full bitmap in memory, so check the size first
+    const dimensions = heifDimensions(input);
+    if (!dimensions) {
+      throw new ImageUploadError('Could not read HEIC image');
+    }
+    if (dimensions.width * dimensions.height > MAX_INPUT_PIXELS) {
+      throw new ImageUploadError(`Image is too large (max ${MAX_INPUT_PIXELS / 1000000} megapixels)`);
+    }
+
+    try {
+      buffer = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 0.92 }));
+    } catch (error) {
+      throw new ImageUploadError('Could not read HEIC image');
+    }
+  }
+
+  const outputType = detectedType === 'image/png' ? 'image/png' : 'image/jpeg';
+  const extension = outputType === 'image/png' ? 'png' : 'jpg';
+
+  const load = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate(); // apply EXIF orientation; output carries no metadata
+
+  try {
+    const [original, thumbnail] = await Promise.all([
+      encode(
+        load().resize(ORIGINAL_MAX_EDGE, ORIGINAL_MAX_EDGE, { fit: 'inside', withoutEnlargement: true }),
+        outputType,
+        JPEG_QUALITY
+      ).toBuffer({ resolveWithObject: true }),
+      encode(
+        load().resize(THUMBNAIL_MAX_EDGE, THUMBNAIL_MAX_EDGE, { fit: 'inside', withoutEnlargement: true }),
+        outputType,
+        THUMBNAIL_QUALITY
+      ).toBuffer({ resolveWithObject: true })
+    ]);
+
+    const describe = ({ data, info }) => ({
+      buffer: data,
+      contentType: outputType,
+      extension,
+      width: info.width,
+      height: info.height
+    });
+
+    return { original: describe(original), thumbnail: describe(thumbnail) };
+  } catch (error) {
+    throw new ImageUploadError(`Could not read image: ${error.message}`);
+  }
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  ImageUploadError,
+  detectImageType,
+  processImage
+};
@@ -0,0 +1,246 @@
+const { searchNearbyPlaces } = require('./places');
+const { searchEvents } = require('./eventProviders');
+const { distanceKm } = require('./geo');
+
+// =====================================================
+// 🗓️ MULTI-STOP DATE ITINERARIES
+// Composes ordered plans (dinner → activity → dessert,
+// pre-show drinks → event) from the same places/events search.
+// =====================================================
+
+const ITINERARY_TEMPLATES = {
+  classic: {
+    title: 'Dinner, activity & dessert',
+    stops: [
+      { role: 'dinner', keyword: 'restaurant', minutes: 90 },
+      { role: 'activity', keyword: 'bowling arcade museum', minutes: 90 },
+      { role: 'dessert', keyword: 'dessert gelato', minutes: 45 }
+    ]
+  },
+  show: {
+    title: 'Pre-show drinks & event',
+    stops: [
+      { role: 'drinks', keyword: 'cocktail bar', minutes: 60 },
+      { role: 'event', event: true, minutes: 150 }
+    ]
+  }
+};
+
+// Rough city travel estimate between stops
+const AVERAGE_SPEED_KMH = 30;
+const TRAVEL_BUFFER_MINUTES = 5;
+
+// Arrive this early for an event
+const EVENT_ARRIVAL_BUFFER_MINUTES = 15;
+
+const DEFAULT_MAX_LEG_KM = 8;
+const DEFAULT_WINDOW_HOURS = 4;
+
+function travelMinutes(km) {
+  return Math.round(TRAVEL_BUFFER_MINUTES + (km / AVERAGE_SPEED_KMH) * 60);
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+function locationOf(place) {
+  return place.geometry.location;
+}
+
+// Prefer well-rated places, then closer ones
+function placeScore(place, km) {
+  return (place.rating || 3.5) - 0.15 * km;
+}
+
+// Candidate places for one stop (Nearby Search is cached per geohash cell)
+async function candidatesForStop(stop, { lat, lng, radius }) {
+  const places = await searchNearbyPlaces({ lat, lng, radius, keyword: stop.keyword });
+  return places.filter(place => place.business_status !== 'CLOSED_PERMANENTLY');
+}
+
+function buildStop(order, stop, place, from, arriveAt, minutes) {
+  const km = from ? distanceKm(from, locationOf(place)) : 0;
+  return {
+    order,
+    role: stop.role,
+    place,
+    arriveAt: arriveAt.toISOString(),
+    departAt: addMinutes(arriveAt, minutes).toISOString(),
+    durationMinutes: minutes,
+    distanceKmFromPrevious: Math.round(km * 10) / 10,
+    travelMinutesFromPrevious: from ? travelMinutes(km) : 0
+  };
+}
+
+function summarize(templateName, index, stops, score) {
+  const startAt = new Date(stops[0].arriveAt);
+  const endAt = new Date(stops[stops.length - 1].departAt);
+
+  return {
+    id: `${templateName}-${index + 1}`,
+    template: templateName,
+    title: ITINERARY_TEMPLATES[templateName].title,
+    startAt: startAt.toISOString(),
+    endAt: endAt.toISOString(),
+    totalDurationMinutes: Math.round((endAt - startAt) / 60000),
+    totalDistanceKm: Math.round(stops.reduce((sum, s) => sum + s.distanceKmFromPrevious, 0) * 10) / 10,
+    stops,
+    score
+  };
+}
+
+// Chain places stop by stop, each close to the previous one
+async function composeSequential(templateName, options) {
+  const { origin, radius, windowStart, windowEnd, maxLegKm, maxAlternatives } = options;
+  const template = ITINERARY_TEMPLATES[templateName];
+
+  const candidates = await Promise.all(
+    template.stops.map(stop => candidatesForStop(stop, { lat: origin.lat, lng: origin.lng, radius }))
+  );
+
+  const usedPlaceIds = new Set();
+  const itineraries = [];
+
+  for (let index = 0; index < maxAlternatives; index++) {
+    const stops = [];
+    let previous = origin;
+    let clock = windowStart;
+    let score = 0;
+
+    for (let i = 0; i < template.stops.length; i++) {
+      const stop = template.stops[i];
+      // The first stop only has to be within the search radius
+      const maxKm = i === 0 ? radius / 1000 : maxLegKm;
+
+      const best = candidates[i]
+        .filter(place => !usedPlaceIds.has(place.place_id))
+        .map(place => ({ place, km: distanceKm(previous, locationOf(place)) }))
+        .filter(({ km }) => km <= maxKm)
+        .sort((a, b) => placeScore(b.place, b.km) - placeScore(a.place, a.km))[0];
+
+      if (!best) break;
+
+      const arriveAt = addMinutes(clock, travelMinutes(best.km));
+      const built = buildStop(i + 1, stop, best.place, i === 0 ? null : previous, arriveAt, stop.minutes);
+
+      stops.push(built);
+      score += placeScore(best.place, best.km);
+      previous = locationOf(best.place);
+      clock = new Date(built.departAt);
+    }
+
+    if (stops.length !== template.stops.length || clock > windowEnd) break;
+
+    stops.forEach(s => usedPlaceIds.add(s.place.place_id));
+    itineraries.push(summarize(templateName, index, stops, score / stops.length));
+  }
+
+  return itineraries;
+}
+
+// Work backwards from each event's start time to fit drinks beforehand
+async function composeAroundEvents(templateName, options) {
+  const { origin, radius, windowStart, windowEnd, maxLegKm, maxAlternatives } = options;
+  const template = ITINERARY_TEMPLATES[templateName];
+  const [preStop, eventStop] = template.stops;
+
+  const [bars, events] = await Promise.all([
+    candidatesForStop(preStop, { lat: origin.lat, lng: origin.lng, radius }),
+    searchEvents({
+      lat: origin.lat,
+      lng: origin.lng,
+      startDateTime: addMinutes(windowStart, preStop.minutes),
+      endDateTime: addMinutes(windowEnd, -eventStop.minutes)
+    })
+  ]);
+
+  const itineraries = [];
+  const usedPlaceIds = new Set();
+
+  for (const event of events) {
+    if (itineraries.length >= maxAlternatives) break;
+    if (!event.eventStart) continue;
+
+    const eventStart = new Date(event.eventStart);
+    if (addMinutes(eventStart, eventStop.minutes) > windowEnd) continue;
+
+    const venue = locationOf(event);
+    const bar = bars
+      .filter(place => !usedPlaceIds.has(place.place_id))
+      .map(place => ({ place, km: distanceKm(locationOf(place), venue) }))
+      .filter(({ km }) => km <= maxLegKm)
+      .sort((a, b) => placeScore(b.place, b.km) - placeScore(a.place, a.km))[0];
+
+    if (!bar) continue;
+
+    const legMinutes = travelMinutes(bar.km);
+    const arriveAtEvent = addMinutes(eventStart, -EVENT_ARRIVAL_BUFFER_MINUTES);
+    const arriveAtBar = addMinutes(arriveAtEvent, -(legMinutes + preStop.minutes));
+
+    // Drinks must start inside the window (after getting there from the origin)
+    if (arriveAtBar < addMinutes(windowStart, travelMinutes(distanceKm(origin, locationOf(bar.place))))) continue;
+
+    const eventMinutes = eventStop.minutes + EVENT_ARRIVAL_BUFFER_MINUTES;
+    const stops = [
+      buildStop(1, preStop, bar.place, null, arriveAtBar, preStop.minutes),
+      buildStop(2, eventStop, event, locationOf(bar.place), arriveAtEvent, eventMinutes)
+    ];
+
+    usedPlaceIds.add(bar.place.place_id);
+    itineraries.push(summarize(templateName, itineraries.length, stops, placeScore(bar.place, bar.km)));
+  }
+
+  return itineraries;
+}
+
+/**
+ * Build alternative itineraries for a time window.
+ *
+ * @param {Object} options
+ * @param {number} options.lat
+ * @param {number} options.lng
+ * @param {number} [options.radius] - meters, for the first stop
+ * @param {Date} options.windowStart
+ * @param {Date} options.windowEnd
+ * @param {string[]} [options.templates] - keys of ITINERARY_TEMPLATES
+ * @param {number} [options.maxLegKm] - max distance between consecutive stops
+ * @param {number} [options.maxAlternatives]
+ */
+async function buildItineraries(options) {
+  const composeOptions = {
+    origin: { lat: Number(options.lat), lng: Number(options.lng) },
+    radius: Number(options.radius) || 10000,
+    windowStart: options.windowStart,
+    windowEnd: options.windowEnd,
+    maxLegKm: Number(options.maxLegKm) || DEFAULT_MAX_LEG_KM,
+    maxAlternatives: options.maxAlternatives || 3
+  };
+
+  const templates = options.templates || Object.keys(ITINERARY_TEMPLATES);
+
+  const results = await Promise.all(templates.map(async (templateName) => {
+    const template = ITINERARY_TEMPLATES[templateName];
+    const compose = template.stops.some(stop => stop.event) ? composeAroundEvents : composeSequential;
+
+    try {
+      return await compose(templateName, composeOptions);
+    } catch (error) {
+      // One template failing (e.g. Ticketmaster down) shouldn't sink the rest
+      console.error(`  ❌ Error composing "${templateName}" itineraries:`, error.message);
+      return [];
+    }
+  }));
+
+  return results
+    .flat()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, composeOptions.maxAlternatives)
+    .map(({ score, ...itinerary }) => itinerary);
+}
+
+module.exports = {
+  ITINERARY_TEMPLATES,
+  DEFAULT_WINDOW_HOURS,
+  buildItineraries
+};
@@ -0,0 +1,197 @@
+const util = require('util');
+const { currentRequestId } = require('./requestContext');
+
+// =====================================================
+// 📝 STRUCTURED LOGGING
+// One JSON object per line with level, time and the request ID of
+// the call being handled. Secrets (API keys, tokens, receipts, signed
+// payloads) are redacted by key name and by value pattern.
+// LOG_LEVEL=debug|info|warn|error, LOG_FORMAT=json|pretty
+// =====================================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SENSITIVE_KEY = /api[-_]?key|^key$|token|secret|password|authorization|cookie|receipt|signedPayload|signedTransactionInfo|signedRenewalInfo|signature/i;
+
+// Secrets that show up inside strings (URLs, error messages)
+const SENSITIVE_PATTERNS = [
+  [/AIza[0-9A-Za-z_-]{35}/g, REDACTED],
+  [/\b(?:sk|rk|pk)_(?:live|test)_[0-9A-Za-z]+/g, REDACTED],
+  [/\bwhsec_[0-9A-Za-z]+/g, REDACTED],
+  [/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/([?&](?:key|apikey|api_key|token|sessiontoken|password)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  // Firebase ID tokens, Apple JWS payloads
+  [/eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]*/g, REDACTED]
+];
+
+const MAX_DEPTH = 6;
+
+function redactString(value) {
+  return SENSITIVE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(error.message || ''),
+    code: error.code,
+    status: error.response?.status,
+    stack: error.stack ? redactString(error.stack) : undefined
+  };
+}
+
+/**
+ * Deep copy with secrets removed. Safe on cycles and Errors.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const time = new Date().toISOString();
+  const requestId = currentRequestId() || undefined;
+  const text = redactString(String(msg));
+  const context = redact(fields);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (PRETTY) {
+    const extra = Object.keys(context).length ? ` ${util.inspect(context, { depth: 4, breakLength: Infinity })}` : '';
+    stream.write(`${time} ${level.toUpperCase()}${requestId ? ` [${requestId}]` : ''} ${text}${extra}\n`);
+    return;
+  }
+
+  stream.write(`${JSON.stringify({ time, level, msg: text, requestId, ...context })}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// console.log('Error x:', error) → { msg: 'Error x:', err: {...} }
+function fromConsoleArgs(level) {
+  return (...args) => {
+    const error = args.find(arg => arg instanceof Error);
+    const parts = args
+      .filter(arg => arg !== error)
+      .map(arg => (typeof arg === 'object' && arg !== null ? redact(arg) : arg));
+
+    write(level, util.format(...parts), error ? { err: error } : undefined);
+  };
+}
+
+/**
+ * Route the existing console.* calls through the logger so they get
+ * levels, request IDs and redaction.
+ */
+function captureConsole() {
+  console.debug = fromConsoleArgs('debug');
+  console.log = fromConsoleArgs('info');
+  console.info = fromConsoleArgs('info');
+  console.warn = fromConsoleArgs('warn');
+  console.error = fromConsoleArgs('error');
+}
+
+/**
+ * Access log: one line per request with status and duration.
+ * Mount right after requestContext so every route (webhooks, IAP) is logged.
+ */
+function accessLog(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    write(level, `${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs}ms`, {
+      type: 'access',
+      method: req.method,
+      path: req.originalUrl,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      status: res.statusCode,
+      durationMs,
+      userId: req.user?.uid,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  next();
+}
+
+/**
+ * Forward the request ID to providers and log each outbound call.
+ */
+function installUpstreamLogging(axios) {
+  axios.interceptors.request.use((config) => {
+    const requestId = currentRequestId();
+    if (requestId) {
+      config.headers = config.headers || {};
+      config.headers['X-Request-Id'] = requestId;
+    }
+    config.metadata = { ...config.metadata, loggedAt: Date.now() };
+    return config;
+  });
+
+  const logCall = (config, status, error) => {
+    let url;
+    try {
+      url = new URL(config.url, config.baseURL);
+    } catch (parseError) {
+      return;
+    }
+
+    write(error ? 'warn' : 'info', `upstream ${(config.method || 'get').toUpperCase()} ${url.host}${url.pathname} ${status}`, {
+      type: 'upstream',
+      host: url.host,
+      path: url.pathname,
+      status,
+      durationMs: config.metadata?.loggedAt ? Date.now() - config.metadata.loggedAt : undefined,
+      err: error
+    });
+  };
+
+  axios.interceptors.response.use(
+    (response) => {
+      logCall(response.config, response.status);
+      return response;
+    },
+    (error) => {
+      logCall(error.config, error.response?.status || error.code || 'network', error);
+      return Promise.reject(error);
+    }
+  );
+}
+
+module.exports = {
+  logger,
+  captureConsole,
+  accessLog,
+  installUpstreamLogging
+};
@@ -0,0 +1,97 @@
+const NodeCache = require('node-cache');
+
+// =====================================================
+// 🧠 L1 IN-PROCESS CACHE
+// Small LRU in front of Redis (services/cache.js). node-cache handles
+// expiry; insertion order of `recency` tracks least-recently-used keys
+// so we can evict instead of failing when the limits are hit.
+// =====================================================
+
+const MAX_KEYS = parseInt(process.env.L1_CACHE_MAX_KEYS || '2000', 10);
+const MAX_BYTES = parseInt(process.env.L1_CACHE_MAX_MB || '64', 10) * 1024 * 1024;
+
+// Anything bigger is only worth keeping in Redis
+const MAX_ENTRY_BYTES = 1024 * 1024;
+
+// Seconds an entry lives in L1 while Redis is up, by key prefix.
+// Kept short so instances don't drift far from Redis.
+const NAMESPACE_TTLS = {
+  nearby: 10 * 60,
+  events: 5 * 60,
+  details: 30 * 60,
+  geocode: 60 * 60,
+  itinerary: 10 * 60
+};
+const DEFAULT_TTL = 5 * 60;
+
+const store = new NodeCache({ stdTTL: 0, checkperiod: 60, useClones: false });
+
+// key → byte size, oldest (least recently used) first
+const recency = new Map();
+let totalBytes = 0;
+
+function forget(key) {
+  if (!recency.has(key)) return;
+  totalBytes -= recency.get(key);
+  recency.delete(key);
+}
+
+store.on('expired', forget);
+store.on('del', forget);
+
+function namespaceOf(key) {
+  return key.split(':')[0];
+}
+
+function namespaceTtl(key) {
+  return NAMESPACE_TTLS[namespaceOf(key)] || DEFAULT_TTL;
+}
+
+function evictUntilFits(bytes) {
+  for (const key of recency.keys()) {
+    if (recency.size < MAX_KEYS && totalBytes + bytes <= MAX_BYTES) return;
+    store.del(key);
+  }
+}
+
+/**
+ * @returns {string|undefined} the raw (JSON) value
+ */
+function l1Get(key) {
+  const raw = store.get(key);
+  if (raw === undefined) return undefined;
+
+  // Move to the most recently used end
+  const bytes = recency.get(key);
+  recency.delete(key);
+  recency.set(key, bytes);
+  return raw;
+}
+
+function l1Set(key, raw, ttlSeconds) {
+  const bytes = Buffer.byteLength(raw);
+  store.del(key);
+  if (bytes > MAX_ENTRY_BYTES || ttlSeconds <= 0) return false;
+
+  evictUntilFits(bytes);
+  store.set(key, raw, ttlSeconds);
+  recency.set(key, bytes);
+  totalBytes += bytes;
+  return true;
+}
+
+function l1Size() {
+  return {
+    keys: recency.size,
+    bytes: totalBytes,
+    maxKeys: MAX_KEYS,
+    maxBytes: MAX_BYTES
+  };
+}
+
+module.exports = {
+  namespaceTtl,
+  l1Get,
+  l1Set,
+  l1Size
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+// =====================================================
+// 📈 PROMETHEUS METRICS
+// Scraped from GET /metrics. Labels are kept low-cardinality:
+// route patterns (not URLs), providers, namespaces, event types.
+// =====================================================
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'datemaker_' });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'datemaker_http_request_duration_seconds',
+  help: 'HTTP request duration by route pattern',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'datemaker_upstream_request_duration_seconds',
+  help: 'Outbound provider API call duration',
+  labelNames: ['provider', 'sku'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'datemaker_upstream_errors_total',
+  help: 'Failed outbound provider API calls',
+  labelNames: ['provider', 'sku', 'reason'],
+  registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+  name: 'datemaker_cache_requests_total',
+  help: 'Cache lookups by namespace and result (hit, stale, miss)',
+  labelNames: ['namespace', 'result'],
+  registers: [register]
+});
+
+const cacheTierRequests = new client.Counter({
+  name: 'datemaker_cache_tier_requests_total',
+  help: 'Cache lookups by tier (l1, redis) and result',
+  labelNames: ['tier', 'result'],
+  registers: [register]
+});
+
+const limiterRejections = new client.Counter({
+  name: 'datemaker_limiter_rejections_total',
+  help: 'Requests rejected by rate limiters and daily quotas',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+const webhookEvents = new client.Counter({
+  name: 'datemaker_webhook_events_total',
+  help: 'Stripe and Apple webhook deliveries by event type and result',
+  labelNames: ['source', 'type', 'result'],
+  registers: [register]
+});
+
+// Express middleware - mount before the routers so every route is timed
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    // Route pattern, not the URL - unmatched paths share one label
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ method: req.method, route, status_code: res.statusCode });
+  });
+
+  next();
+}
+
+/**
+ * Time every axios call that `providerFor(url)` recognizes.
+ * @param {import('axios').AxiosStatic} axios
+ * @param {(url: string) => { provider: string, sku: string } | null} providerFor
+ */
+function installUpstreamMetrics(axios, providerFor) {
+  axios.interceptors.request.use((config) => {
+    const labels = providerFor(config.url || '');
+    if (labels) {
+      config.metadata = { ...config.metadata, upstream: labels, startedAt: process.hrtime.bigint() };
+    }
+    return config;
+  });
+
+  const observe = (config, reason) => {
+    const upstream = config?.metadata?.upstream;
+    if (!upstream) return;
+
+    const seconds = Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9;
+    upstreamRequestDuration.observe(upstream, seconds);
+    if (reason) upstreamErrors.inc({ ...upstream, reason });
+  };
+
+  axios.interceptors.response.use(
+    (response) => {
+      // Google reports most failures as 200 with a non-OK status
+      const status = response.data?.status;
+      const googleError = typeof status === 'string' && !['OK', 'ZERO_RESULTS'].includes(status);
+      observe(response.config, googleError ? status : null);
+      return response;
+    },
+    (error) => {
+      observe(error.config, error.response ? String(error.response.status) : error.code || 'network');
+      return Promise.reject(error);
+    }
+  );
+}
+
+function recordCacheLookup(namespace, result) {
+  cacheRequests.inc({ namespace, result });
+}
+
+function recordCacheTierLookup(tier, result) {
+  cacheTierRequests.inc({ tier, result });
+}
+
+function recordLimiterRejection(limiter) {
+  limiterRejections.inc({ limiter });
+}
+
+function recordWebhookEvent(source, type, result) {
+  webhookEvents.inc({ source, type: type || 'unknown', result });
+}
+
+// Shared secret for scrapers, e.g. METRICS_TOKEN=... - required in production
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS_DISABLED = !METRICS_TOKEN && process.env.NODE_ENV === 'production';
+
+if (METRICS_DISABLED) {
+  console.warn('⚠️ METRICS_TOKEN is not set - /metrics is disabled in production');
+}
+
+function isAuthorizedScraper(req) {
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// GET /metrics
+async function metricsHandler(req, res) {
+  if (METRICS_DISABLED) {
+    return res.status(404).send('Not found');
+  }
+  if (METRICS_TOKEN && !isAuthorizedScraper(req)) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+}
+
+module.exports = {
+  httpMetrics,
+  installUpstreamMetrics,
+  recordCacheLookup,
+  recordCacheTierLookup,
+  recordLimiterRejection,
+  recordWebhookEvent,
+  metricsHandler
+};
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { cached, primeCache } = require('./cache');
+
+// =====================================================
+// 🕒 OPEN-AT FILTERING
+// Google opening_hours.periods are in the place's local time,
+// so a local wall-clock openAt can be compared directly.
+// =====================================================
+
+// Hours rarely change - fresh 7 days, then a day of stale-while-refresh
+const HOURS_CACHE_POLICY = { freshTtl: 7 * 24 * 60 * 60, staleTtl: 24 * 60 * 60, namespace: 'hours' };
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// Parallel Details lookups per search (cold cache only)
+const DETAILS_CONCURRENCY = 5;
+
+// Uncached Details lookups per search - later places only use cached hours
+const MAX_DETAILS_LOOKUPS = 20;
+
+/**
+ * Parse "YYYY-MM-DDTHH:mm" (any offset is ignored - it's the location's local time).
+ * @returns {{ date: string, time: string, day: number, minutes: number } | null}
+ */
+function parseOpenAt(openAt) {
+  const match = typeof openAt === 'string' && openAt.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, dayOfMonth, hours, minutes] = match.map(Number);
+  if (hours > 23 || minutes > 59) return null;
+
+  // Date.UTC rolls 2026-02-31 over to March - only real calendar days survive
+  const date = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== dayOfMonth) {
+    return null;
+  }
+
+  return {
+    date: match[0].split('T')[0],
+    time: `${match[4]}:${match[5]}`,
+    // Google uses 0 = Sunday, same as getUTCDay()
+    day: date.getUTCDay(),
+    minutes: hours * 60 + minutes
+  };
+}
+
+function hhmmToMinutes(hhmm) {
+  return parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(2, 4), 10);
+}
+
+function formatHhmm(hhmm) {
+  return `${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}`;
+}
+
+/**
+ * Is a place open at a local day/minute according to its periods?
+ * @returns {{ isOpen: boolean, closesAt: string|null }}
+ */
+function isOpenAt(periods, { day, minutes }) {
+  const weekMinute = day * MINUTES_PER_DAY + minutes;
+
+  for (const period of periods) {
+    if (!period.open) continue;
+
+    // A single open period without a close means open 24/7
+    if (!period.close) {
+      return { isOpen: true, closesAt: null };
+    }
+
+    const start = period.open.day * MINUTES_PER_DAY + hhmmToMinutes(period.open.time);
+    let end = period.close.day * MINUTES_PER_DAY + hhmmToMinutes(period.close.time);
+    if (end <= start) end += MINUTES_PER_WEEK; // wraps past Saturday night
+
+    const inPeriod = (weekMinute >= start && weekMinute < end) ||
+      (weekMinute + MINUTES_PER_WEEK >= start && weekMinute + MINUTES_PER_WEEK < end);
+
+    if (inPeriod) {
+      return { isOpen: true, closesAt: formatHhmm(period.close.time) };
+    }
+  }
+
+  return { isOpen: false, closesAt: null };
+}
+
+// Cache hours from a Details response we already paid for
+async function rememberOpeningHours(placeId, periods) {
+  await primeCache(`details:hours:${placeId}`, periods || null, HOURS_CACHE_POLICY);
+}
+
+/**
+ * Opening periods for a Google place, from Place Details.
+ * @returns {Promise<Array|null>} periods, or null if Google has no hours
+ */
+async function getPlaceOpeningHours(placeId, { cacheOnly = false } = {}) {
+  // "No hours" (null) is cached too so we don't keep asking
+  return cached(`details:hours:${placeId}`, async () => {
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/details/json',
+      {
+        params: {
+          place_id: placeId,
+          fields: 'opening_hours',
+          key: process.env.GOOGLE_MAPS_API_KEY
+        }
+      }
+    );
+
+    return response.data.result?.opening_hours?.periods || null;
+  }, { ...HOURS_CACHE_POLICY, cacheOnly });
+}
+
+/**
+ * Annotate places with openAt status and drop the ones known to be closed.
+ * Places without published hours are kept (hoursKnown: false). Events pass through.
+ * Search results without opening_hours have none to look up; past
+ * MAX_DETAILS_LOOKUPS places, or with cacheOnly, uncached hours count as unknown
+ * instead of calling Details.
+ */
+async function filterOpenAt(places, openAt, { cacheOnly = false } = {}) {
+  const annotated = [];
+  let lookups = 0;
+
+  for (let i = 0; i < places.length; i += DETAILS_CONCURRENCY) {
+    const batch = places.slice(i, i + DETAILS_CONCURRENCY);
+
+    annotated.push(...await Promise.all(batch.map(async (place) => {
+      if (place.isEvent) return place;
+
+      let periods = null;
+      if (place.opening_hours) {
+        const lookupCacheOnly = cacheOnly || lookups++ >= MAX_DETAILS_LOOKUPS;
+        try {
+          periods = await getPlaceOpeningHours(place.place_id, { cacheOnly: lookupCacheOnly });
+        } catch (error) {
+          console.error(`  ❌ Error fetching hours for ${place.place_id}:`, error.message);
+        }
+      }
+
+      const status = periods ? isOpenAt(periods, openAt) : { isOpen: null, closesAt: null };
+
+      return {
+        ...place,
+        openAt: {
+          requested: `${openAt.date}T${openAt.time}`,
+          hoursKnown: !!periods,
+          ...status
+        }
+      };
+    })));
+  }
+
+  return annotated.filter(place => place.isEvent || place.openAt.isOpen !== false);
+}
+
+module.exports = {
+  parseOpenAt,
+  isOpenAt,
+  getPlaceOpeningHours,
+  rememberOpeningHours,
+  filterOpenAt
+};
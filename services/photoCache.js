@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { cached } = require('./cache');
+const { isAllowedPhotoUrl } = require('./photoTokens');
+
+// =====================================================
+// 🖼️ GOOGLE PHOTO BYTE CACHE
+// Each photo reference is fetched from Google once per size variant
+// and kept in Firebase Storage under photoCache/. Metadata (ETag,
+// type, size) lives in the L1/Redis cache so conditional GETs never
+// touch Storage or Google. Direct event image URLs are stored the
+// same way, but only as the original (we don't resize).
+// =====================================================
+
+// Google resizes server-side, so each variant is its own Photo call (once)
+const PHOTO_VARIANTS = {
+  thumb: 200,
+  card: 800,
+  full: 1600
+};
+
+const DEFAULT_VARIANT = 'card';
+
+// A reference + width always maps to the same image
+const PHOTO_META_CACHE_POLICY = { freshTtl: 30 * 24 * 60 * 60, namespace: 'photo' };
+
+const STORAGE_PREFIX = 'photoCache';
+
+// Direct URLs: provider CDNs, never followed through redirects
+const DIRECT_PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+const DIRECT_PHOTO_TIMEOUT_MS = 10000;
+
+/**
+ * Variant name for a request: explicit ?variant=, else the smallest
+ * variant covering a legacy ?maxwidth=.
+ * @returns {string|null} null for an unknown variant
+ */
+function resolveVariant({ variant, maxwidth }) {
+  if (variant) return PHOTO_VARIANTS[variant] ? variant : null;
+
+  const width = parseInt(maxwidth, 10);
+  if (!width) return DEFAULT_VARIANT;
+
+  return Object.keys(PHOTO_VARIANTS).find(name => PHOTO_VARIANTS[name] >= width) || 'full';
+}
+
+function storagePath(reference, size) {
+  // References are long and URL-ish - hash them into a safe object name
+  const hash = crypto.createHash('sha256').update(reference).digest('hex');
+  return `${STORAGE_PREFIX}/${hash}/${size}`;
+}
+
+function imageResponse(response, source) {
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`${source} returned ${contentType || 'no content type'} instead of an image`);
+  }
+
+  return { bytes: Buffer.from(response.data), contentType };
+}
+
+async function downloadFromGoogle(reference, width) {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/place/photo', {
+    params: {
+      maxwidth: width,
+      photoreference: reference,
+      key: process.env.GOOGLE_MAPS_API_KEY
+    },
+    responseType: 'arraybuffer'
+  });
+
+  return imageResponse(response, 'Google');
+}
+
+async function downloadDirect(url) {
+  // Checked again here - the token only proves we issued it
+  if (!isAllowedPhotoUrl(url)) {
+    throw new Error('Photo host is not allowed');
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    maxRedirects: 0,
+    maxContentLength: DIRECT_PHOTO_MAX_BYTES,
+    timeout: DIRECT_PHOTO_TIMEOUT_MS
+  });
+
+  return imageResponse(response, new URL(url).hostname);
+}
+
+// Bytes at `path` in Storage, downloaded once; metadata cached
+function storedPhoto(path, label, customMetadata, download) {
+  return cached(`photo:meta:${path}`, async () => {
+    const file = admin.storage().bucket().file(path);
+
+    // Metadata expired from Redis but the bytes are already stored
+    const [exists] = await file.exists();
+    if (exists) {
+      const [metadata] = await file.getMetadata();
+      return {
+        path,
+        etag: metadata.metadata?.sha256 || metadata.md5Hash,
+        contentType: metadata.contentType,
+        size: Number(metadata.size)
+      };
+    }
+
+    console.log(`🌐 Downloading photo ${label}`);
+    const { bytes, contentType } = await download();
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+
+    await file.save(bytes, {
+      resumable: false,
+      metadata: {
+        contentType,
+        cacheControl: 'public, max-age=604800',
+        metadata: { sha256, ...customMetadata }
+      }
+    });
+
+    return { path, etag: sha256, contentType, size: bytes.length };
+  }, PHOTO_META_CACHE_POLICY);
+}
+
+/**
+ * Make sure a variant is in Storage and return what's needed to serve it.
+ * Concurrent requests for the same photo share one download.
+ * @returns {Promise<{ path: string, etag: string, contentType: string, size: number }>}
+ */
+function getPhotoVariant(reference, variant) {
+  const width = PHOTO_VARIANTS[variant];
+  return storedPhoto(
+    storagePath(reference, width),
+    `${variant} (${width}px) from Google`,
+    { variant, width: String(width) },
+    () => downloadFromGoogle(reference, width)
+  );
+}
+
+/**
+ * Same as getPhotoVariant for an allow-listed direct image URL.
+ * Every variant is served from the original.
+ */
+function getDirectPhoto(url) {
+  return storedPhoto(
+    storagePath(url, 'original'),
+    `from ${new URL(url).hostname}`,
+    { variant: 'original' },
+    () => downloadDirect(url)
+  );
+}
+
+function openPhotoStream(photo) {
+  return admin.storage().bucket().file(photo.path).createReadStream();
+}
+
+module.exports = {
+  PHOTO_VARIANTS,
+  resolveVariant,
+  getPhotoVariant,
+  getDirectPhoto,
+  openPhotoStream
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// =====================================================
+// 🎟️ SIGNED PHOTO TOKENS
+// Search endpoints hand out opaque tokens instead of raw photo
+// references/URLs; /api/photo serves nothing else. A token is
+// base64url(payload).base64url(HMAC-SHA256(payload)) with
+//   { k: 'g' (Google reference) | 'u' (direct URL), r, e (unix expiry) }
+// PHOTO_TOKEN_SECRET must be the same on every instance.
+// =====================================================
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.PHOTO_TOKEN_TTL_HOURS || '168', 10) * 60 * 60;
+
+// Expiries are rounded up to the hour so repeated searches hand out the
+// same token (and URL) for a photo, which keeps client caches warm
+const EXPIRY_GRANULARITY_SECONDS = 60 * 60;
+
+// Direct image URLs come from event providers. Anything else is refused
+// so the proxy can't be pointed at arbitrary hosts.
+// Extend with PHOTO_PROXY_ALLOWED_HOSTS=images.partner.com,*.cdn.example
+const DEFAULT_DIRECT_PHOTO_HOSTS = [
+  '*.ticketm.net'
+];
+
+// Firebase Storage serves every project from one host - only our bucket counts
+const FIREBASE_STORAGE_HOST = 'firebasestorage.googleapis.com';
+const FIREBASE_STORAGE_PATH = process.env.FIREBASE_STORAGE_BUCKET
+  ? `/v0/b/${process.env.FIREBASE_STORAGE_BUCKET}/o/`
+  : null;
+
+const DIRECT_PHOTO_HOSTS = DEFAULT_DIRECT_PHOTO_HOSTS.concat(
+  (process.env.PHOTO_PROXY_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const KIND_GOOGLE = 'g';
+const KIND_URL = 'u';
+
+// Instances must share the secret or tokens 403 on every other one
+if (process.env.NODE_ENV === 'production' && !process.env.PHOTO_TOKEN_SECRET) {
+  throw new Error('PHOTO_TOKEN_SECRET must be set in production');
+}
+
+let secret = null;
+
+function tokenSecret() {
+  if (!secret) {
+    secret = process.env.PHOTO_TOKEN_SECRET;
+    if (!secret) {
+      console.warn('⚠️ PHOTO_TOKEN_SECRET not set - photo tokens only work on this instance until restart');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', tokenSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * https URL on an allow-listed host ("*.example.com" also matches subdomains),
+ * or a Firebase Storage URL for our own bucket
+ */
+function isAllowedPhotoUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' || url.username || url.password || url.port) return false;
+
+  const host = url.hostname.toLowerCase();
+  if (host === FIREBASE_STORAGE_HOST) {
+    return !!FIREBASE_STORAGE_PATH && url.pathname.startsWith(FIREBASE_STORAGE_PATH);
+  }
+
+  return DIRECT_PHOTO_HOSTS.some(allowed => (
+    allowed.startsWith('*.')
+      ? host.endsWith(allowed.slice(1))
+      : host === allowed
+  ));
+}
+
+function issueToken(kind, ref) {
+  const expires = Math.ceil((Date.now() / 1000 + TOKEN_TTL_SECONDS) / EXPIRY_GRANULARITY_SECONDS) *
+    EXPIRY_GRANULARITY_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ k: kind, r: ref, e: expires })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Token for a provider photo ({ photo_reference, isDirectUrl? }).
+ * @returns {string|null} null for direct URLs outside the allow-list
+ */
+function photoTokenFor(photo) {
+  if (!photo || !photo.photo_reference) return null;
+
+  if (photo.isDirectUrl) {
+    return isAllowedPhotoUrl(photo.photo_reference) ? issueToken(KIND_URL, photo.photo_reference) : null;
+  }
+  return issueToken(KIND_GOOGLE, photo.photo_reference);
+}
+
+/**
+ * @returns {{ kind: 'google'|'url', ref: string, expiresAt: number }|null}
+ *   null if the token is malformed, tampered with or expired
+ */
+function verifyPhotoToken(token) {
+  if (typeof token !== 'string' || token.length > 4096) return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!claims || typeof claims.r !== 'string' || !Number.isFinite(claims.e)) return null;
+  if (claims.e * 1000 < Date.now()) return null;
+
+  if (claims.k === KIND_GOOGLE) return { kind: 'google', ref: claims.r, expiresAt: claims.e };
+  if (claims.k === KIND_URL) return { kind: 'url', ref: claims.r, expiresAt: claims.e };
+  return null;
+}
+
+function photoProxyUrl(token) {
+  return `/api/photo?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Copy of a v1 (raw provider shape) result with a `photo_token` and
+ * proxied `photo_url` on each photo. Photos that can't be tokenized are dropped.
+ */
+function withPhotoTokens(place) {
+  if (!place || !Array.isArray(place.photos)) return place;
+
+  const photos = place.photos
+    .map((photo) => {
+      const token = photoTokenFor(photo);
+      return token ? { ...photo, photo_token: token, photo_url: photoProxyUrl(token) } : null;
+    })
+    .filter(Boolean);
+
+  return { ...place, photos };
+}
+
+module.exports = {
+  isAllowedPhotoUrl,
+  photoTokenFor,
+  verifyPhotoToken,
+  photoProxyUrl,
+  withPhotoTokens
+};
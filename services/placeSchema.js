@@ -0,0 +1,195 @@
+// =====================================================
+// 📐 DATEMAKER PLACE SCHEMA (API v2)
+// One documented shape for Google places and events alike.
+// v1 (/api/places) keeps returning the raw provider shapes.
+// =====================================================
+
+const { photoTokenFor, photoProxyUrl } = require('./photoTokens');
+
+const PLACE_SCHEMA_VERSION = 2;
+
+/**
+ * @typedef {Object} DateMakerPlace
+ * @property {number} schemaVersion - always PLACE_SCHEMA_VERSION
+ * @property {string} id - "<provider>:<providerId>", stable across calls
+ * @property {'venue'|'event'} kind - discriminator; `event` is only set for kind 'event'
+ * @property {string} name
+ * @property {{ lat: number, lng: number, address: string|null }} location
+ * @property {{ value: number|null, count: number|null }} rating - value is 1-5
+ * @property {{ level: number|null, min: number|null, max: number|null,
+ *   currency: string|null, label: string|null }} price - level is Google's 0-4
+ * @property {Array<{ source: 'google'|'direct', reference: string|null, url: string,
+ *   width: number|null, height: number|null, attributions: string[] }>} photos -
+ *   url is always the signed /api/photo proxy, never the provider URL
+ * @property {{ openNow: boolean|null, openAt: Object|null }|null} hours - null if unknown
+ * @property {string[]} categories - provider types, e.g. ["restaurant", "bar"]
+ * @property {{ startsAt: string|null, localDate: string|null, localTime: string|null,
+ *   venueName: string|null, url: string|null }|null} event
+ * @property {{ provider: 'google'|'ticketmaster'|'curated'|string, providerId: string,
+ *   partner: string|null }} provenance
+ */
+
+const PRICE_LEVEL_LABELS = ['Free', '$', '$$', '$$$', '$$$$'];
+
+// Snapshot photos keep the provider reference (Google reference or direct
+// URL) so proxy URLs can be signed again whenever the place is served
+function googlePhoto(photo) {
+  return {
+    source: 'google',
+    reference: photo.photo_reference,
+    width: photo.width || null,
+    height: photo.height || null,
+    attributions: photo.html_attributions || []
+  };
+}
+
+function directPhoto(photo) {
+  return {
+    source: 'direct',
+    reference: photo.photo_reference,
+    width: null,
+    height: null,
+    attributions: []
+  };
+}
+
+function snapshotPhotosFor(result) {
+  return (result.photos || [])
+    .filter(photo => photo && photo.photo_reference)
+    .map(photo => (photo.isDirectUrl ? directPhoto(photo) : googlePhoto(photo)));
+}
+
+// Photos we can't issue a token for (off-list hosts) are left out
+function publicPhoto(photo) {
+  const token = photoTokenFor({ photo_reference: photo.reference, isDirectUrl: photo.source === 'direct' });
+  if (!token) return null;
+
+  return {
+    ...photo,
+    // Direct provider URLs are only ever served through the proxy
+    reference: photo.source === 'direct' ? null : photo.reference,
+    url: photoProxyUrl(token)
+  };
+}
+
+function hoursFor(place) {
+  const openNow = place.opening_hours ? place.opening_hours.open_now ?? null : null;
+  if (openNow === null && !place.openAt) return null;
+
+  return {
+    openNow,
+    openAt: place.openAt || null
+  };
+}
+
+// Google Nearby Search result → DateMakerPlace
+function normalizeGooglePlace(place) {
+  const level = typeof place.price_level === 'number' ? place.price_level : null;
+
+  return {
+    schemaVersion: PLACE_SCHEMA_VERSION,
+    id: `google:${place.place_id}`,
+    kind: 'venue',
+    name: place.name,
+    location: {
+      lat: place.geometry?.location?.lat ?? null,
+      lng: place.geometry?.location?.lng ?? null,
+      address: place.vicinity || place.formatted_address || null
+    },
+    rating: {
+      value: typeof place.rating === 'number' ? place.rating : null,
+      count: typeof place.user_ratings_total === 'number' ? place.user_ratings_total : null
+    },
+    price: {
+      level,
+      min: null,
+      max: null,
+      currency: null,
+      label: level !== null ? PRICE_LEVEL_LABELS[level] : null
+    },
+    photos: snapshotPhotosFor(place),
+    hours: hoursFor(place),
+    categories: place.types || [],
+    event: null,
+    provenance: {
+      provider: 'google',
+      providerId: place.place_id,
+      partner: null
+    }
+  };
+}
+
+// Event from services/eventProviders (isEvent shape) → DateMakerPlace
+function normalizeEvent(event) {
+  const provider = event.eventProvider || 'ticketmaster';
+  const providerId = event.place_id.replace(`${provider}_`, '');
+
+  return {
+    schemaVersion: PLACE_SCHEMA_VERSION,
+    id: `${provider}:${providerId}`,
+    kind: 'event',
+    name: event.name,
+    location: {
+      lat: event.geometry?.location?.lat ?? null,
+      lng: event.geometry?.location?.lng ?? null,
+      address: event.vicinity || null
+    },
+    rating: { value: null, count: null },
+    price: {
+      level: null,
+      min: event.priceMin ?? null,
+      max: event.priceMax ?? null,
+      currency: event.priceCurrency || null,
+      label: event.priceRange || null
+    },
+    photos: snapshotPhotosFor(event),
+    hours: null,
+    categories: ['event'],
+    event: {
+      startsAt: event.eventStart || null,
+      localDate: event.eventDate || null,
+      localTime: event.eventTime || null,
+      venueName: event.venueName || null,
+      url: event.website || null
+    },
+    provenance: {
+      provider,
+      providerId,
+      partner: event.partner || null
+    }
+  };
+}
+
+/**
+ * DateMakerPlace for storage (saved items): photos carry their provider
+ * reference instead of an expiring proxy URL. Serve with withPhotoUrls().
+ */
+function normalizePlaceSnapshot(result) {
+  return result.isEvent ? normalizeEvent(result) : normalizeGooglePlace(result);
+}
+
+/**
+ * Snapshot → DateMakerPlace as served, with freshly signed photo URLs.
+ * @returns {DateMakerPlace}
+ */
+function withPhotoUrls(snapshot) {
+  return {
+    ...snapshot,
+    photos: (snapshot.photos || []).map(publicPhoto).filter(Boolean)
+  };
+}
+
+/**
+ * Normalize any v1 result (raw Google place or legacy event) into a DateMakerPlace.
+ * @returns {DateMakerPlace}
+ */
+function normalizePlace(result) {
+  return withPhotoUrls(normalizePlaceSnapshot(result));
+}
+
+module.exports = {
+  PLACE_SCHEMA_VERSION,
+  normalizePlace,
+  normalizePlaceSnapshot,
+  withPhotoUrls
+};
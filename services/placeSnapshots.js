@@ -0,0 +1,136 @@
+const { getPlaceDetails } = require('./places');
+const { canLookUpEvents, getEvent } = require('./eventProviders');
+const { PLACE_SCHEMA_VERSION, normalizePlaceSnapshot } = require('./placeSchema');
+
+// =====================================================
+// 📸 PLACE SNAPSHOTS
+// Frozen DateMakerPlace copies for saved items and shared plans.
+// Photos keep provider references (see normalizePlaceSnapshot) so
+// photo URLs are signed on every read - which is why snapshots are
+// built from provider data: Google places from Place Details, events
+// from their provider. Only events no provider can look up fall back
+// to the client's copy, whitelisted and without photos.
+// =====================================================
+
+const PLACE_ID_PATTERN = /^[a-z]+:[A-Za-z0-9_-]{1,255}$/;
+
+class PlaceSnapshotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlaceSnapshotError';
+    this.status = status;
+  }
+}
+
+function parsePlaceId(placeId) {
+  if (typeof placeId !== 'string' || !PLACE_ID_PATTERN.test(placeId)) {
+    throw new PlaceSnapshotError('placeId must be a DateMakerPlace id like "google:ChIJ..."');
+  }
+  const separator = placeId.indexOf(':');
+  return { provider: placeId.slice(0, separator), providerId: placeId.slice(separator + 1) };
+}
+
+function text(value, max = 500) {
+  return typeof value === 'string' ? value.slice(0, max) : null;
+}
+
+function number(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// A v2 DateMakerPlace sent back by a client - keep known fields only.
+// Photos are dropped: we only sign references that came from a provider.
+function snapshotFromClient(place) {
+  const isEvent = place.kind === 'event';
+
+  return {
+    schemaVersion: PLACE_SCHEMA_VERSION,
+    id: text(place.id, 300),
+    kind: isEvent ? 'event' : 'venue',
+    name: text(place.name, 200) || '',
+    location: {
+      lat: number(place.location?.lat),
+      lng: number(place.location?.lng),
+      address: text(place.location?.address)
+    },
+    rating: { value: number(place.rating?.value), count: number(place.rating?.count) },
+    price: {
+      level: number(place.price?.level),
+      min: number(place.price?.min),
+      max: number(place.price?.max),
+      currency: text(place.price?.currency, 3),
+      label: text(place.price?.label, 100)
+    },
+    photos: [],
+    hours: null,
+    categories: (Array.isArray(place.categories) ? place.categories : [])
+      .filter(category => typeof category === 'string')
+      .slice(0, 20)
+      .map(category => category.slice(0, 50)),
+    event: isEvent ? {
+      startsAt: text(place.event?.startsAt, 40),
+      localDate: text(place.event?.localDate, 10),
+      localTime: text(place.event?.localTime, 8),
+      venueName: text(place.event?.venueName, 200),
+      url: text(place.event?.url, 2000)
+    } : null,
+    provenance: {
+      provider: text(place.provenance?.provider, 50),
+      providerId: text(place.provenance?.providerId, 255),
+      partner: text(place.provenance?.partner, 100)
+    }
+  };
+}
+
+async function googleSnapshot(providerId, { refresh = false } = {}) {
+  const details = await getPlaceDetails(providerId, { refresh });
+
+  if (details.status === 'NOT_FOUND' || details.status === 'INVALID_REQUEST') {
+    return { snapshot: null, unavailable: true };
+  }
+  if (details.status !== 'OK') {
+    throw new Error(`Place Details failed: ${details.status}`);
+  }
+
+  // Older cached details responses don't include place_id
+  const snapshot = normalizePlaceSnapshot({ place_id: providerId, ...details.result });
+  return { snapshot, unavailable: details.result.business_status === 'CLOSED_PERMANENTLY' };
+}
+
+/**
+ * Snapshot for a place a user is saving or sharing.
+ * @param {Object} [place] - the v2 DateMakerPlace the client saw; only used
+ *   for events whose provider can't look them up, ignored otherwise
+ */
+async function snapshotFor(placeId, place) {
+  const { provider, providerId } = parsePlaceId(placeId);
+
+  if (provider === 'google') {
+    const { snapshot } = await googleSnapshot(providerId);
+    if (!snapshot) throw new PlaceSnapshotError('Place not found', 404);
+    return snapshot;
+  }
+
+  if (canLookUpEvents(provider)) {
+    const event = await getEvent(provider, providerId);
+    if (!event) throw new PlaceSnapshotError('Event not found', 404);
+    return normalizePlaceSnapshot(event);
+  }
+
+  if (!place || typeof place !== 'object' || place.schemaVersion !== PLACE_SCHEMA_VERSION) {
+    throw new PlaceSnapshotError(`place (a v${PLACE_SCHEMA_VERSION} DateMakerPlace) is required for ${provider} events`);
+  }
+
+  const snapshot = snapshotFromClient(place);
+  if (snapshot.id !== placeId) {
+    throw new PlaceSnapshotError('place does not match placeId');
+  }
+  return snapshot;
+}
+
+module.exports = {
+  PlaceSnapshotError,
+  parsePlaceId,
+  googleSnapshot,
+  snapshotFor
+};
@@ -0,0 +1,270 @@
+const axios = require('axios');
+const { CACHE_TTL, cached } = require('./cache');
+const { searchEvents } = require('./eventProviders');
+const { filterOpenAt, rememberOpeningHours } = require('./openingHours');
+const { UpstreamBudgetError, isPlacesCacheOnly } = require('./usage');
+const {
+  distanceKm,
+  geohashEncode,
+  geohashCenter,
+  geohashCellSize,
+  geohashPrecisionFor
+} = require('./geo');
+
+// =====================================================
+// 🗺️ PLACES SEARCH
+// Shared by /api/places, /api/v2/places and /api/itineraries
+// (events come from services/eventProviders)
+// =====================================================
+
+// Keywords shorter than 3 characters ("a", "to") are dropped
+function splitKeywords(keyword) {
+  return keyword ? keyword.split(' ').filter(k => k.length > 2) : [];
+}
+
+// Lowercased, de-duplicated and sorted - "Bar  sushi bar" and "sushi bar" share cache entries
+function canonicalKeywords(keyword) {
+  return [...new Set(splitKeywords(keyword.toLowerCase()))].sort();
+}
+
+// =====================================================
+// 🔲 GEO-BUCKETED NEARBY SEARCH CACHE
+// Requests are snapped to a geohash cell sized for the radius and each
+// keyword is searched once per cell from the cell center. Results are
+// then filtered and re-ranked for the exact request location.
+// =====================================================
+
+const MAX_RADIUS = 50000; // Google Nearby Search limit
+const RADIUS_BUCKETS = [500, 1000, 2000, 5000, 10000, 20000, MAX_RADIUS];
+
+// Cells at most a quarter of the radius keep the search circle close to the request's
+const CELL_TO_RADIUS = 0.25;
+
+function radiusBucket(radius) {
+  const meters = Math.min(Number(radius) || 10000, MAX_RADIUS);
+  return RADIUS_BUCKETS.find(bucket => bucket >= meters);
+}
+
+function searchCell(lat, lng, bucket) {
+  const precision = geohashPrecisionFor(bucket * CELL_TO_RADIUS, lat);
+  const geohash = geohashEncode(lat, lng, precision);
+  const { width, height } = geohashCellSize(precision, lat);
+
+  return {
+    geohash,
+    center: geohashCenter(geohash),
+    // Cover the whole request circle from anywhere in the cell
+    searchRadius: Math.min(Math.round(bucket + Math.hypot(width, height) / 2), MAX_RADIUS)
+  };
+}
+
+// One Nearby Search per cell + keyword: fresh 24h, then served stale while refreshing.
+// Errors (OVER_QUERY_LIMIT, REQUEST_DENIED...) aren't cached as empty cells.
+const NEARBY_CACHE_POLICY = {
+  freshTtl: CACHE_TTL,
+  staleTtl: 6 * 60 * 60,
+  namespace: 'nearby',
+  shouldCache: data => data.status === 'OK' || data.status === 'ZERO_RESULTS'
+};
+
+async function nearbySearchForCell(cell, keyword, { refresh, cacheOnly }) {
+  const cacheKey = `nearby:${cell.geohash}:${cell.searchRadius}:${keyword || '_'}`;
+
+  const data = await cached(cacheKey, async () => {
+    const params = {
+      location: `${cell.center.lat},${cell.center.lng}`,
+      radius: cell.searchRadius,
+      key: process.env.GOOGLE_MAPS_API_KEY
+    };
+    if (keyword) params.keyword = keyword;
+
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/nearbysearch/json',
+      { params }
+    );
+
+    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+      console.error(`❌ Nearby Search ${response.data.status} for ${cell.geohash}: ${response.data.error_message || ''}`);
+    }
+    return { status: response.data.status, results: response.data.results || [] };
+  }, { ...NEARBY_CACHE_POLICY, refresh, cacheOnly });
+
+  // Entries cached before the status was kept are plain result arrays
+  return Array.isArray(data) ? data : data?.results || [];
+}
+
+// Blend Google's prominence order with distance from the exact request point
+function rerankForLocation(rankedPlaces, origin, radiusKm) {
+  const count = rankedPlaces.length;
+
+  return rankedPlaces
+    .map((place, index) => {
+      const km = distanceKm(origin, place.geometry.location);
+      const prominence = count > 1 ? 1 - index / (count - 1) : 1;
+      const proximity = 1 - km / radiusKm;
+      return { place, km, score: 0.5 * prominence + 0.5 * proximity };
+    })
+    .filter(({ km }) => km <= radiusKm)
+    .sort((a, b) => b.score - a.score)
+    .map(({ place }) => place);
+}
+
+/**
+ * Google Nearby Search, one cached request per keyword, de-duplicated by place_id
+ * and ranked for the exact lat/lng.
+ * @param {Object} query - lat, lng, radius, keyword, refresh (bypass cache reads),
+ *   cacheOnly (never call Google - cached cells only; defaults to the budget state)
+ * @returns {Promise<Array>} raw Google place results
+ */
+async function searchNearbyPlaces({ lat, lng, radius, keyword, refresh = false, cacheOnly }) {
+  if (cacheOnly === undefined) cacheOnly = await isPlacesCacheOnly();
+  if (cacheOnly) refresh = false;
+
+  const origin = { lat: Number(lat), lng: Number(lng) };
+  const bucket = radiusBucket(radius);
+  const cell = searchCell(origin.lat, origin.lng, bucket);
+
+  // No keyword - do a general search
+  const keywords = keyword ? canonicalKeywords(keyword) : [null];
+
+  console.log(`📍 Searching ${keywords.length} keyword(s) in cell ${cell.geohash} (${cell.searchRadius}m)...`);
+
+  const perKeyword = [];
+  for (const kw of keywords) {
+    try {
+      perKeyword.push(await nearbySearchForCell(cell, kw, { refresh, cacheOnly }));
+    } catch (error) {
+      console.error(`  ❌ Error searching "${kw}":`, error.message);
+      perKeyword.push([]);
+    }
+  }
+
+  // Interleave per-keyword results so each keyword's best places rank together
+  const seenPlaceIds = new Set();
+  const merged = [];
+  const longest = Math.max(0, ...perKeyword.map(results => results.length));
+
+  for (let i = 0; i < longest; i++) {
+    for (const results of perKeyword) {
+      const place = results[i];
+      if (!place || !place.geometry?.location || seenPlaceIds.has(place.place_id)) continue;
+      seenPlaceIds.add(place.place_id);
+      merged.push(place);
+    }
+  }
+
+  // Requests keep their own radius; the bucket only decides the cache entry
+  const radiusKm = Math.min(Number(radius) || 10000, MAX_RADIUS) / 1000;
+  return rerankForLocation(merged, origin, radiusKm);
+}
+
+/**
+ * The /api/places search: Google places (+ events).
+ * Results are the raw Google / legacy event shapes - see services/placeSchema
+ * for the normalized model.
+ *
+ * @param {Object} query - lat, lng, radius, keyword, includeEvents, dateRange,
+ *   selectedDate, refresh ('true' skips the cache), openAt (from parseOpenAt)
+ * @returns {Promise<{ results: Array, cacheOnly?: true }>}
+ */
+async function findPlaces(query) {
+  const startTime = Date.now();
+  const { lat, lng, radius, keyword, includeEvents, dateRange, selectedDate, refresh, openAt } = query;
+
+  // 💰 Over the daily upstream budget - serve what's cached, call nothing paid
+  const cacheOnly = await isPlacesCacheOnly();
+
+  console.log(`\n🔍 Searching places: ${keyword} near (${lat}, ${lng})`);
+  console.log(`🔄 Refresh mode: ${refresh === 'true' ? 'YES (forcing new data)' : 'NO (cache allowed)'}`);
+  if (cacheOnly) console.log('⚠️  Daily budget exceeded - CACHE-ONLY mode');
+
+  // 🌐 GOOGLE MAPS API (per-keyword results are cached per geohash cell)
+  let results = await searchNearbyPlaces({
+    lat,
+    lng,
+    radius,
+    keyword,
+    refresh: refresh === 'true' && !cacheOnly,
+    cacheOnly
+  });
+  console.log(`✅ Total unique places found: ${results.length}`);
+
+  // If includeEvents is true, merge events from every enabled provider
+  if (includeEvents === 'true') {
+    try {
+      const events = await searchEvents({ lat, lng, keyword, dateRange, selectedDate });
+      results = [...results, ...events];
+    } catch (eventError) {
+      console.error('Error fetching events:', eventError.message);
+      // Continue without events if the providers fail
+    }
+  }
+
+  console.log(`⚡ Search finished in ${Date.now() - startTime}ms`);
+
+  // Filter last so every openAt shares the same search results
+  if (openAt) {
+    results = await filterOpenAt(results, openAt, { cacheOnly });
+    console.log(`🕒 ${results.length} open at ${openAt.date} ${openAt.time}`);
+  }
+
+  return cacheOnly ? { results, cacheOnly } : { results };
+}
+
+// =====================================================
+// PLACE DETAILS
+// Used by /api/places/details and to refresh saved items
+// =====================================================
+
+const DETAILS_FIELDS = [
+  'place_id', 'name', 'rating', 'user_ratings_total', 'formatted_phone_number', 'opening_hours',
+  'website', 'photos', 'price_level', 'reviews', 'formatted_address', 'geometry', 'types', 'business_status'
+].join(',');
+
+const DETAILS_CACHE_POLICY = {
+  freshTtl: CACHE_TTL,
+  staleTtl: 24 * 60 * 60,
+  namespace: 'details',
+  shouldCache: data => data.status === 'OK'
+};
+
+/**
+ * Raw Google Place Details response ({ status, result }), cached 24 hours
+ * (only successful lookups) and served stale while refreshing.
+ * Over the daily budget only cached responses are served - a miss throws
+ * UpstreamBudgetError.
+ */
+async function getPlaceDetails(placeId, { refresh = false } = {}) {
+  const cacheOnly = await isPlacesCacheOnly();
+
+  const data = await cached(`details:${placeId}`, async () => {
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/details/json',
+      {
+        params: {
+          place_id: placeId,
+          fields: DETAILS_FIELDS,
+          key: process.env.GOOGLE_MAPS_API_KEY
+        }
+      }
+    );
+
+    // Seed the openAt hours cache from the same call
+    if (response.data.status === 'OK') {
+      await rememberOpeningHours(placeId, response.data.result?.opening_hours?.periods);
+    }
+
+    return response.data;
+  }, { ...DETAILS_CACHE_POLICY, refresh: refresh && !cacheOnly, cacheOnly });
+
+  if (!data) throw new UpstreamBudgetError('places_details');
+  return data;
+}
+
+module.exports = {
+  splitKeywords,
+  canonicalKeywords,
+  searchNearbyPlaces,
+  findPlaces,
+  getPlaceDetails
+};
@@ -0,0 +1,206 @@
+const { isRedisConnected, getRedisClient } = require('./cache');
+const { getEntitlement } = require('./entitlements');
+const { recordLimiterRejection } = require('./metrics');
+
+// =====================================================
+// 🎚️ PER-USER TIERED QUOTAS
+// Counted per Firebase uid (IP only for anonymous calls) in Redis,
+// so limits survive restarts and are shared across instances.
+// Windows are UTC calendar days.
+// =====================================================
+
+const DAILY_LIMITS = {
+  places: {
+    anonymous: parseInt(process.env.QUOTA_PLACES_ANONYMOUS || '60', 10),
+    free: parseInt(process.env.QUOTA_PLACES_FREE || '60', 10),
+    trial: parseInt(process.env.QUOTA_PLACES_TRIAL || '150', 10),
+    premium: parseInt(process.env.QUOTA_PLACES_PREMIUM || '500', 10)
+  }
+};
+
+// Entitlement tier lookups are cached so quota checks don't hit Firestore every call
+const TIER_CACHE_TTL = 5 * 60; // 5 minutes
+
+// Used only while Redis is down
+const memoryCounters = new Map();
+
+function todayKey(now = new Date()) {
+  return now.toISOString().split('T')[0];
+}
+
+function nextResetAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function quotaSubject(req) {
+  return req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+}
+
+async function tierFor(req) {
+  if (!req.user) return 'anonymous';
+  return tierForUser(req.user.uid);
+}
+
+/**
+ * Entitlement tier (free, trial, premium) of a signed-in user.
+ */
+async function tierForUser(userId) {
+  const tierKey = `quota:tier:${userId}`;
+
+  if (isRedisConnected()) {
+    try {
+      const cachedTier = await getRedisClient().get(tierKey);
+      if (cachedTier) return cachedTier;
+    } catch (error) {
+      console.error('Quota tier read error:', error.message);
+    }
+  }
+
+  const { tier } = await getEntitlement(userId);
+
+  if (isRedisConnected()) {
+    try {
+      await getRedisClient().setEx(tierKey, TIER_CACHE_TTL, tier);
+    } catch (error) {
+      console.error('Quota tier write error:', error.message);
+    }
+  }
+
+  return tier;
+}
+
+/**
+ * Forget a user's cached tier so a purchase, expiry or refund applies to
+ * their next request. Called by updateEntitlement after it commits.
+ */
+async function clearTierCache(userId) {
+  if (!isRedisConnected()) return;
+
+  try {
+    await getRedisClient().del(`quota:tier:${userId}`);
+  } catch (error) {
+    console.error('Quota tier clear error:', error.message);
+  }
+}
+
+async function incrementCounter(key, resetAt) {
+  if (isRedisConnected()) {
+    try {
+      const client = getRedisClient();
+      const used = await client.incr(key);
+      if (used === 1) {
+        await client.expireAt(key, Math.ceil(resetAt.getTime() / 1000) + 60);
+      }
+      return used;
+    } catch (error) {
+      console.error('Quota increment error:', error.message);
+    }
+  }
+
+  if (memoryCounters.size > 10000) {
+    for (const [counterKey, entry] of memoryCounters) {
+      if (entry.resetAt <= Date.now()) memoryCounters.delete(counterKey);
+    }
+  }
+
+  const entry = memoryCounters.get(key);
+  const used = entry && entry.resetAt > Date.now() ? entry.used + 1 : 1;
+  memoryCounters.set(key, { used, resetAt: resetAt.getTime() });
+  return used;
+}
+
+async function readCounter(key) {
+  if (isRedisConnected()) {
+    try {
+      return parseInt(await getRedisClient().get(key), 10) || 0;
+    } catch (error) {
+      console.error('Quota read error:', error.message);
+    }
+  }
+
+  const entry = memoryCounters.get(key);
+  return entry && entry.resetAt > Date.now() ? entry.used : 0;
+}
+
+/**
+ * Current usage for a request's subject without consuming anything.
+ * @returns {Promise<{ tier, limit, used, remaining, resetAt }>}
+ */
+async function getQuota(name, req) {
+  const tier = await tierFor(req);
+  const limit = DAILY_LIMITS[name][tier];
+  const used = await readCounter(`quota:${name}:${quotaSubject(req)}:${todayKey()}`);
+
+  return {
+    tier,
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    resetAt: nextResetAt().toISOString()
+  };
+}
+
+function setQuotaHeaders(res, quota) {
+  res.setHeader('X-Quota-Tier', quota.tier);
+  res.setHeader('X-Quota-Limit', quota.limit);
+  res.setHeader('X-Quota-Remaining', quota.remaining);
+  res.setHeader('X-Quota-Reset', quota.resetAt);
+}
+
+/**
+ * Express middleware that consumes one unit of a daily quota.
+ * Run after optionalAuth/requireAuth so req.user is populated.
+ */
+function quotaLimiter(name) {
+  if (!DAILY_LIMITS[name]) {
+    throw new Error(`Unknown quota: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const tier = await tierFor(req);
+      const limit = DAILY_LIMITS[name][tier];
+      const resetAt = nextResetAt();
+      const used = await incrementCounter(`quota:${name}:${quotaSubject(req)}:${todayKey()}`, resetAt);
+
+      const quota = {
+        tier,
+        limit,
+        used,
+        remaining: Math.max(limit - used, 0),
+        resetAt: resetAt.toISOString()
+      };
+
+      setQuotaHeaders(res, quota);
+      req.quota = quota;
+
+      if (used > limit) {
+        console.log(`🚫 QUOTA HIT: ${quotaSubject(req)} used ${limit}/${limit} ${name} (${tier})`);
+        recordLimiterRejection(`quota_${name}`);
+        res.setHeader('Retry-After', Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+        return res.status(429).json({
+          error: `Daily date generation limit reached (${limit}/day). Please try again tomorrow!`,
+          retryAfter: quota.resetAt,
+          tier,
+          tip: tier === 'premium'
+            ? 'Try using the "Refresh" button for new options instead of regenerating!'
+            : 'Upgrade to Premium for more date generations per day!'
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block date generation because the quota backend failed
+      console.error('Quota check error:', error.message);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  DAILY_LIMITS,
+  tierForUser,
+  clearTierCache,
+  getQuota,
+  quotaLimiter
+};
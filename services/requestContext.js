@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// =====================================================
+// 🧵 REQUEST CONTEXT
+// Lets services deep in a call chain (upstream metering, logging)
+// see which request and user they're working for.
+// =====================================================
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller's X-Request-Id (load balancer, app) if it looks sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Express middleware - mount before any routes
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  storage.run({ req }, next);
+}
+
+/**
+ * The request being handled, or null outside a request (startup, timers).
+ */
+function currentRequest() {
+  const store = storage.getStore();
+  return store ? store.req : null;
+}
+
+function currentRequestId() {
+  const req = currentRequest();
+  return req ? req.id : null;
+}
+
+module.exports = {
+  requestContext,
+  currentRequest,
+  currentRequestId
+};
@@ -0,0 +1,353 @@
+const admin = require('firebase-admin');
+const { withPhotoUrls } = require('./placeSchema');
+const { parsePlaceId, snapshotFor, googleSnapshot } = require('./placeSnapshots');
+
+// =====================================================
+// ⭐ SAVED PLACES + EVENTS
+// users/{uid}/savedCollections/{collectionId}
+//   { name, itemCount, createdAt, updatedAt }
+// users/{uid}/savedItems/{placeId}   (placeId = DateMakerPlace id, "google:ChIJ...")
+//   { kind, collectionIds, note, snapshot, savedAt, refreshedAt, unavailable }
+// The snapshot comes from services/placeSnapshots.js; photo URLs are
+// signed on every read. Google snapshots can be refreshed.
+// Filtering by collection needs the index collectionIds CONTAINS, savedAt DESC.
+// =====================================================
+
+const DEFAULT_COLLECTION = { id: 'favorites', name: 'Favorites' };
+
+const MAX_COLLECTIONS = 50;
+const MAX_COLLECTION_NAME = 60;
+const MAX_NOTE = 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Google snapshots older than this are flagged so clients can refresh them
+const STALE_AFTER_MS = 30 * 24 * 60 * 60 * 1000;
+
+class SavedItemError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SavedItemError';
+    this.status = status;
+  }
+}
+
+function userDoc(userId) {
+  return admin.firestore().collection('users').doc(userId);
+}
+
+function collectionsOf(userId) {
+  return userDoc(userId).collection('savedCollections');
+}
+
+function itemsOf(userId) {
+  return userDoc(userId).collection('savedItems');
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  return new Date(value).toISOString();
+}
+
+function parseCollectionName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_COLLECTION_NAME) {
+    throw new SavedItemError(`name is required (at most ${MAX_COLLECTION_NAME} characters)`);
+  }
+  return name.trim();
+}
+
+// =====================================================
+// COLLECTIONS
+// =====================================================
+
+function toCollectionView(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    itemCount: Math.max(data.itemCount || 0, 0),
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt)
+  };
+}
+
+async function listCollections(userId) {
+  const snapshot = await collectionsOf(userId).orderBy('createdAt').get();
+  return snapshot.docs.map(toCollectionView);
+}
+
+async function createCollection(userId, name) {
+  const collectionName = parseCollectionName(name);
+
+  const existing = await collectionsOf(userId).count().get();
+  if (existing.data().count >= MAX_COLLECTIONS) {
+    throw new SavedItemError(`You can have at most ${MAX_COLLECTIONS} collections`, 409);
+  }
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const ref = collectionsOf(userId).doc();
+  await ref.set({ name: collectionName, itemCount: 0, createdAt: now, updatedAt: now });
+
+  return toCollectionView(await ref.get());
+}
+
+async function renameCollection(userId, collectionId, name) {
+  const collectionName = parseCollectionName(name);
+  const ref = collectionsOf(userId).doc(collectionId);
+
+  const doc = await ref.get();
+  if (!doc.exists) throw new SavedItemError('Collection not found', 404);
+
+  await ref.update({ name: collectionName, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return toCollectionView(await ref.get());
+}
+
+/**
+ * Delete a collection. Items only saved in it are unsaved; items in
+ * other collections stay there.
+ */
+async function deleteCollection(userId, collectionId) {
+  const ref = collectionsOf(userId).doc(collectionId);
+  const doc = await ref.get();
+  if (!doc.exists) throw new SavedItemError('Collection not found', 404);
+
+  const db = admin.firestore();
+  let removedItems = 0;
+
+  // Batches stay well under Firestore's 500 writes
+  for (;;) {
+    const page = await itemsOf(userId).where('collectionIds', 'array-contains', collectionId).limit(200).get();
+    if (page.empty) break;
+
+    const batch = db.batch();
+    for (const item of page.docs) {
+      const remaining = (item.data().collectionIds || []).filter(id => id !== collectionId);
+      if (remaining.length === 0) {
+        batch.delete(item.ref);
+        removedItems++;
+      } else {
+        batch.update(item.ref, { collectionIds: remaining });
+      }
+    }
+    await batch.commit();
+  }
+
+  await ref.delete();
+  return { removedItems };
+}
+
+// =====================================================
+// ITEMS
+// =====================================================
+
+function toItemView(doc) {
+  const data = doc.data();
+  const refreshedAt = toIso(data.refreshedAt);
+  const refreshable = doc.id.startsWith('google:');
+
+  return {
+    id: doc.id,
+    kind: data.kind,
+    collectionIds: data.collectionIds || [],
+    note: data.note || null,
+    savedAt: toIso(data.savedAt),
+    refreshedAt,
+    stale: refreshable && (!refreshedAt || Date.now() - new Date(refreshedAt).getTime() > STALE_AFTER_MS),
+    unavailable: !!data.unavailable,
+    place: data.snapshot ? withPhotoUrls(data.snapshot) : null
+  };
+}
+
+function parseCollectionIds(collectionIds) {
+  if (collectionIds === undefined) return undefined;
+  if (!Array.isArray(collectionIds) || collectionIds.length === 0 || collectionIds.length > MAX_COLLECTIONS ||
+      collectionIds.some(id => typeof id !== 'string' || !id || id.includes('/'))) {
+    throw new SavedItemError('collectionIds must be a non-empty array of collection ids');
+  }
+  return [...new Set(collectionIds)];
+}
+
+// getAll() rejects an empty list - first saves leave no collection behind
+async function getCollectionDocs(transaction, userId, collectionIds) {
+  return collectionIds.length
+    ? transaction.getAll(...collectionIds.map(id => collectionsOf(userId).doc(id)))
+    : [];
+}
+
+// itemCount += 1 / -1 on collections an item joined or left
+function adjustCounts(transaction, userId, collectionIds, delta) {
+  const { increment, serverTimestamp } = admin.firestore.FieldValue;
+  for (const id of collectionIds) {
+    transaction.update(collectionsOf(userId).doc(id), { itemCount: increment(delta), updatedAt: serverTimestamp() });
+  }
+}
+
+/**
+ * Save (or re-file) a place or event. `collectionIds` replaces the
+ * item's collections; new items without it go to Favorites.
+ */
+async function saveItem(userId, placeId, { place, collectionIds, note } = {}) {
+  parsePlaceId(placeId);
+  const requestedIds = parseCollectionIds(collectionIds);
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE)) {
+    throw new SavedItemError(`note must be a string of at most ${MAX_NOTE} characters`);
+  }
+
+  const itemRef = itemsOf(userId).doc(placeId);
+  const existing = await itemRef.get();
+
+  // Snapshot only on first save - later saves just re-file the item
+  const snapshot = existing.exists ? null : await snapshotFor(placeId, place);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const current = await transaction.get(itemRef);
+
+    // Removed since the read above, so there's no snapshot to save - the client retries
+    if (!current.exists && !snapshot) {
+      throw new SavedItemError('Item changed while saving, please try again', 409);
+    }
+
+    const previousIds = current.exists ? current.data().collectionIds || [] : [];
+    const nextIds = requestedIds || (current.exists ? previousIds : [DEFAULT_COLLECTION.id]);
+
+    const collectionDocs = await getCollectionDocs(transaction, userId, nextIds);
+    const missing = collectionDocs.filter(doc => !doc.exists);
+    if (missing.some(doc => doc.id !== DEFAULT_COLLECTION.id)) {
+      throw new SavedItemError(`Collection not found: ${missing.find(doc => doc.id !== DEFAULT_COLLECTION.id).id}`, 404);
+    }
+
+    const leavingDocs = await getCollectionDocs(transaction, userId, previousIds.filter(id => !nextIds.includes(id)));
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    // Favorites exists without being created first
+    if (missing.length > 0) {
+      transaction.set(collectionsOf(userId).doc(DEFAULT_COLLECTION.id), {
+        name: DEFAULT_COLLECTION.name,
+        itemCount: 0,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    if (current.exists) {
+      transaction.update(itemRef, {
+        collectionIds: nextIds,
+        ...(note !== undefined ? { note: note || null } : {})
+      });
+    } else {
+      transaction.set(itemRef, {
+        kind: snapshot.kind,
+        collectionIds: nextIds,
+        note: note || null,
+        snapshot,
+        savedAt: now,
+        refreshedAt: now,
+        unavailable: false
+      });
+    }
+
+    adjustCounts(transaction, userId, nextIds.filter(id => !previousIds.includes(id)), 1);
+    adjustCounts(transaction, userId, leavingDocs.filter(doc => doc.exists).map(doc => doc.id), -1);
+  });
+
+  return toItemView(await itemRef.get());
+}
+
+/**
+ * Unsave from one collection, or from all of them when collectionId is omitted.
+ * @returns {Promise<boolean>} false if the item wasn't saved
+ */
+async function removeItem(userId, placeId, collectionId) {
+  parsePlaceId(placeId);
+  const itemRef = itemsOf(userId).doc(placeId);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const current = await transaction.get(itemRef);
+    if (!current.exists) return false;
+
+    const previousIds = current.data().collectionIds || [];
+    if (collectionId && !previousIds.includes(collectionId)) return false;
+
+    // Counts can only be adjusted on collections that still exist
+    const leaving = collectionId ? [collectionId] : previousIds;
+    const leavingDocs = await getCollectionDocs(transaction, userId, leaving);
+    const remaining = previousIds.filter(id => !leaving.includes(id));
+
+    if (remaining.length === 0) {
+      transaction.delete(itemRef);
+    } else {
+      transaction.update(itemRef, { collectionIds: remaining });
+    }
+    adjustCounts(transaction, userId, leavingDocs.filter(doc => doc.exists).map(doc => doc.id), -1);
+    return true;
+  });
+}
+
+/**
+ * Most recently saved first. `cursor` is the id of the last item of the previous page.
+ */
+async function listItems(userId, { collectionId, limit, cursor } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let query = itemsOf(userId);
+  if (collectionId) query = query.where('collectionIds', 'array-contains', collectionId);
+  query = query.orderBy('savedAt', 'desc').limit(pageSize + 1);
+
+  if (cursor) {
+    const after = await itemsOf(userId).doc(cursor).get();
+    if (!after.exists) throw new SavedItemError('Invalid cursor');
+    query = query.startAfter(after);
+  }
+
+  const snapshot = await query.get();
+  const page = snapshot.docs.slice(0, pageSize);
+
+  return {
+    items: page.map(toItemView),
+    nextCursor: snapshot.docs.length > pageSize ? page[page.length - 1].id : null
+  };
+}
+
+/**
+ * Re-snapshot a saved Google place from Place Details. Places Google no
+ * longer knows (or that closed for good) are flagged `unavailable` and
+ * keep their last snapshot.
+ */
+async function refreshItem(userId, placeId) {
+  const { provider, providerId } = parsePlaceId(placeId);
+  if (provider !== 'google') {
+    throw new SavedItemError('Only Google places can be refreshed');
+  }
+
+  const itemRef = itemsOf(userId).doc(placeId);
+  const current = await itemRef.get();
+  if (!current.exists) throw new SavedItemError('Saved item not found', 404);
+
+  // Explicit refreshes skip the 24h details cache
+  const { snapshot, unavailable } = await googleSnapshot(providerId, { refresh: true });
+
+  await itemRef.update({
+    ...(snapshot ? { snapshot } : {}),
+    unavailable,
+    refreshedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return toItemView(await itemRef.get());
+}
+
+module.exports = {
+  DEFAULT_COLLECTION,
+  SavedItemError,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  saveItem,
+  removeItem,
+  listItems,
+  refreshItem
+};
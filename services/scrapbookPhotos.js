@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { processImage } = require('./imageUpload');
+const { reserveStorage, releaseStorage, storageDelta } = require('./storageQuota');
+
+// =====================================================
+// 🔒 PRIVATE SCRAPBOOK PHOTOS
+// Objects under dateMemories/{uid}/ are private. Each upload has a
+// record in scrapbookPhotos/{photoId}:
+//   { ownerId, path, thumbnailPath, contentType, size, thumbnailSize,
+//     width, height, thumbnail: { width, height }, createdAt, legacy?,
+//     memoryId? }
+// and clients get short-lived V4 signed URLs for the owner or their
+// linked partner (mutual users/{uid}.partnerId). Bytes count against
+// the owner's storage quota (services/storageQuota.js).
+// =====================================================
+
+const COLLECTION = 'scrapbookPhotos';
+const STORAGE_PREFIX = 'dateMemories';
+
+const SIGNED_URL_TTL_MS = parseInt(process.env.SCRAPBOOK_URL_TTL_MINUTES || '15', 10) * 60 * 1000;
+
+function photosCollection() {
+  return admin.firestore().collection(COLLECTION);
+}
+
+async function saveObject(bucket, path, image) {
+  await bucket.file(path).save(image.buffer, {
+    resumable: false,
+    metadata: {
+      contentType: image.contentType,
+      cacheControl: 'private, max-age=3600',
+      metadata: { width: String(image.width), height: String(image.height) }
+    }
+  });
+}
+
+async function signedUrl(path, expires) {
+  const [url] = await admin.storage().bucket().file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires
+  });
+  return url;
+}
+
+/**
+ * Client view of a record with fresh signed URLs.
+ * Legacy uploads have no thumbnail - the original is used instead.
+ */
+async function withSignedUrls(id, record) {
+  const expires = Date.now() + SIGNED_URL_TTL_MS;
+  const [url, thumbnailUrl] = await Promise.all([
+    signedUrl(record.path, expires),
+    record.thumbnailPath ? signedUrl(record.thumbnailPath, expires) : null
+  ]);
+
+  return {
+    id,
+    ownerId: record.ownerId,
+    url,
+    thumbnailUrl: thumbnailUrl || url,
+    expiresAt: new Date(expires).toISOString(),
+    contentType: record.contentType,
+    size: record.size,
+    width: record.width ?? null,
+    height: record.height ?? null,
+    thumbnail: record.thumbnail || null,
+    createdAt: record.createdAt?.toDate ? record.createdAt.toDate().toISOString() : record.createdAt || null
+  };
+}
+
+/**
+ * Process an upload, store original + thumbnail privately and record it.
+ */
+async function storeScrapbookPhoto(userId, input) {
+  const { original, thumbnail } = await processImage(input);
+
+  // Random, unguessable names - client file names can carry personal details
+  const id = crypto.randomUUID();
+  const bucket = admin.storage().bucket();
+  const record = {
+    ownerId: userId,
+    path: `${STORAGE_PREFIX}/${userId}/${id}.${original.extension}`,
+    thumbnailPath: `${STORAGE_PREFIX}/${userId}/${id}_thumb.${thumbnail.extension}`,
+    contentType: original.contentType,
+    size: original.buffer.length,
+    thumbnailSize: thumbnail.buffer.length,
+    width: original.width,
+    height: original.height,
+    thumbnail: { width: thumbnail.width, height: thumbnail.height }
+  };
+
+  // Throws StorageQuotaError before anything is written
+  const storage = await reserveStorage(userId, record.size + record.thumbnailSize);
+
+  try {
+    await Promise.all([
+      saveObject(bucket, record.path, original),
+      saveObject(bucket, record.thumbnailPath, thumbnail)
+    ]);
+    await photosCollection().doc(id).set({
+      ...record,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    await Promise.all([record.path, record.thumbnailPath].map(path => (
+      bucket.file(path).delete({ ignoreNotFound: true }).catch(() => {})
+    )));
+    await releaseStorage(userId, record.size + record.thumbnailSize);
+    throw error;
+  }
+
+  const photo = await withSignedUrls(id, { ...record, createdAt: new Date().toISOString() });
+  return { ...photo, storage };
+}
+
+async function getScrapbookPhoto(photoId) {
+  const doc = await photosCollection().doc(photoId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Remove a photo's Storage objects and its record, give the bytes back
+ * to the owner's quota and detach it from its memory. Safe to retry:
+ * usage is only released by the call that deletes the record.
+ */
+async function deleteScrapbookPhoto(photoId, record) {
+  const bucket = admin.storage().bucket();
+  const paths = [record.path, record.thumbnailPath].filter(Boolean);
+
+  await Promise.all(paths.map(path => bucket.file(path).delete({ ignoreNotFound: true })));
+
+  const db = admin.firestore();
+  const photoRef = photosCollection().doc(photoId);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(photoRef);
+    if (!snapshot.exists) return;
+
+    const photo = snapshot.data();
+    const memoryRef = photo.memoryId ? db.collection('dateMemories').doc(photo.memoryId) : null;
+    const memory = memoryRef ? await transaction.get(memoryRef) : null;
+
+    transaction.delete(photoRef);
+    transaction.set(
+      db.collection('users').doc(photo.ownerId),
+      storageDelta(-((photo.size || 0) + (photo.thumbnailSize || 0)), -1),
+      { merge: true }
+    );
+    if (memory?.exists) {
+      transaction.update(memoryRef, { photoIds: admin.firestore.FieldValue.arrayRemove(photoId) });
+    }
+  });
+}
+
+/**
+ * DELETE /api/photos/:photoId - owners (and admins) only.
+ * @returns {Promise<Object|null>} the deleted record (its ownerId got the
+ *   space back), or null if missing or not the user's
+ */
+async function deletePhotoForUser(user, photoId) {
+  const record = await getScrapbookPhoto(photoId);
+  if (!record || (record.ownerId !== user.uid && !user.isAdmin)) return null;
+
+  await deleteScrapbookPhoto(photoId, record);
+  return record;
+}
+
+async function partnerIdOf(userId) {
+  const doc = await admin.firestore().collection('users').doc(userId).get();
+  return doc.exists ? doc.data().partnerId || null : null;
+}
+
+/**
+ * Partners are linked when each user's doc points at the other,
+ * so either side can unlink on their own.
+ */
+async function areLinkedPartners(userId, otherUserId) {
+  if (!userId || !otherUserId || userId === otherUserId) return false;
+
+  const [partnerOfUser, partnerOfOther] = await Promise.all([
+    partnerIdOf(userId),
+    partnerIdOf(otherUserId)
+  ]);
+  return partnerOfUser === otherUserId && partnerOfOther === userId;
+}
+
+/**
+ * @param {{ uid: string, isAdmin?: boolean }} user - req.user
+ */
+async function canViewPhoto(user, record) {
+  if (!record) return false;
+  if (record.ownerId === user.uid || user.isAdmin) return true;
+  return areLinkedPartners(record.ownerId, user.uid);
+}
+
+/**
+ * Signed URLs for a photo the user may see, or null (missing and
+ * forbidden look the same to the client).
+ */
+async function getPhotoForUser(user, photoId) {
+  const record = await getScrapbookPhoto(photoId);
+  if (!(await canViewPhoto(user, record))) return null;
+  return withSignedUrls(photoId, record);
+}
+
+// Public URLs handed out before uploads went private → object path
+function legacyPathFromUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  const bucketName = admin.storage().bucket().name;
+  let path = null;
+
+  if (url.hostname === 'storage.googleapis.com') {
+    const prefix = `/${bucketName}/`;
+    if (url.pathname.startsWith(prefix)) path = decodeURIComponent(url.pathname.slice(prefix.length));
+  } else if (url.hostname === 'firebasestorage.googleapis.com') {
+    const prefix = `/v0/b/${bucketName}/o/`;
+    if (url.pathname.startsWith(prefix)) path = decodeURIComponent(url.pathname.slice(prefix.length));
+  }
+
+  return path && path.startsWith(`${STORAGE_PREFIX}/`) ? path : null;
+}
+
+/**
+ * Look up a photo by the public URL an older client stored.
+ */
+async function findPhotoByLegacyUrl(user, legacyUrl) {
+  const path = legacyPathFromUrl(legacyUrl);
+  if (!path) return null;
+
+  const snapshot = await photosCollection().where('path', '==', path).limit(1).get();
+  if (snapshot.empty) return null;
+
+  const doc = snapshot.docs[0];
+  if (!(await canViewPhoto(user, doc.data()))) return null;
+  return withSignedUrls(doc.id, doc.data());
+}
+
+async function migrateObject(file, dryRun) {
+  // dateMemories/{uid}/{name}
+  const [, ownerId, name] = file.name.split('/');
+  if (!ownerId || !name) return 'skipped';
+
+  // Thumbnails are recorded with their original - just close them
+  if (/_thumb\.\w+$/.test(name)) {
+    if (!dryRun) await file.makePrivate();
+    return 'private';
+  }
+
+  const existing = await photosCollection().where('path', '==', file.name).limit(1).get();
+  if (!existing.empty) {
+    // Recorded but maybe still public (e.g. a previous run failed midway)
+    if (!dryRun) await file.makePrivate();
+    return 'private';
+  }
+
+  if (dryRun) return 'migrated';
+
+  const [metadata] = await file.getMetadata();
+  const thumbnail = admin.storage().bucket().file(file.name.replace(/(\.\w+)$/, '_thumb$1'));
+  const [hasThumbnail] = await thumbnail.exists();
+  const [thumbnailMetadata] = hasThumbnail ? await thumbnail.getMetadata() : [null];
+
+  await photosCollection().doc(crypto.randomUUID()).set({
+    ownerId,
+    path: file.name,
+    thumbnailPath: hasThumbnail ? thumbnail.name : null,
+    contentType: metadata.contentType || 'application/octet-stream',
+    size: Number(metadata.size) || 0,
+    thumbnailSize: Number(thumbnailMetadata?.size) || 0,
+    width: metadata.metadata?.width ? Number(metadata.metadata.width) : null,
+    height: metadata.metadata?.height ? Number(metadata.metadata.height) : null,
+    thumbnail: null,
+    legacy: true,
+    createdAt: metadata.timeCreated ? new Date(metadata.timeCreated) : admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // Count it against the owner's quota (no limit check - it's already stored)
+  await admin.firestore().collection('users').doc(ownerId).set(
+    storageDelta((Number(metadata.size) || 0) + (Number(thumbnailMetadata?.size) || 0), 1),
+    { merge: true }
+  );
+  await file.makePrivate();
+  return 'migrated';
+}
+
+/**
+ * One page of the public → private migration for uploads made before
+ * records existed. Safe to re-run; call again with nextPageToken until null.
+ */
+async function migratePublicUploads({ pageToken, limit = 100, dryRun = false } = {}) {
+  const [files, nextQuery] = await admin.storage().bucket().getFiles({
+    prefix: `${STORAGE_PREFIX}/`,
+    maxResults: limit,
+    pageToken,
+    autoPaginate: false
+  });
+
+  const counts = { migrated: 0, private: 0, skipped: 0, failed: 0 };
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      counts[await migrateObject(file, dryRun)]++;
+    } catch (error) {
+      counts.failed++;
+      failures.push({ path: file.name, message: error.message });
+      console.error(`❌ Failed to migrate ${file.name}:`, error.message);
+    }
+  }
+
+  return {
+    dryRun,
+    scanned: files.length,
+    ...counts,
+    failures,
+    nextPageToken: nextQuery?.pageToken || null
+  };
+}
+
+module.exports = {
+  photosCollection,
+  storeScrapbookPhoto,
+  getScrapbookPhoto,
+  deleteScrapbookPhoto,
+  deletePhotoForUser,
+  withSignedUrls,
+  areLinkedPartners,
+  canViewPhoto,
+  getPhotoForUser,
+  findPhotoByLegacyUrl,
+  migratePublicUploads
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { withPhotoUrls } = require('./placeSchema');
+const { snapshotFor } = require('./placeSnapshots');
+
+// =====================================================
+// 🔗 SHARED DATE PLANS
+// sharedPlans/{code}   (code = 8 random base62 characters)
+//   { ownerId, title, note, stops, createdAt, expiresAt, revokedAt, views }
+// stops: [{ role, arriveAt, departAt, snapshot }] - snapshots come from
+// services/placeSnapshots.js, so a plan keeps rendering after the link
+// is shared even if the places drop out of search results.
+// Listing a user's links needs the index ownerId ASC, createdAt DESC.
+// =====================================================
+
+const CODE_LENGTH = 8;
+const CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const CODE_PATTERN = new RegExp(`^[A-Za-z0-9]{${CODE_LENGTH}}$`);
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.SHARE_LINK_TTL_DAYS || '30', 10);
+const MAX_EXPIRY_DAYS = 365;
+
+const MAX_STOPS = 8;
+const MAX_TITLE = 100;
+const MAX_NOTE = 500;
+const MAX_ROLE = 40;
+const MAX_LISTED = 50;
+
+class SharedPlanError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SharedPlanError';
+    this.status = status;
+  }
+}
+
+function plansCollection() {
+  return admin.firestore().collection('sharedPlans');
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  return new Date(value).toISOString();
+}
+
+// Rejection sampling keeps every character equally likely
+function generateCode() {
+  let code = '';
+  while (code.length < CODE_LENGTH) {
+    for (const byte of crypto.randomBytes(CODE_LENGTH * 2)) {
+      if (byte < 248 && code.length < CODE_LENGTH) code += CODE_ALPHABET[byte % 62];
+    }
+  }
+  return code;
+}
+
+function isShareCode(code) {
+  return typeof code === 'string' && CODE_PATTERN.test(code);
+}
+
+function statusOf(data, now = Date.now()) {
+  if (data.revokedAt) return 'revoked';
+  if (data.expiresAt && new Date(toIso(data.expiresAt)).getTime() <= now) return 'expired';
+  return 'active';
+}
+
+// =====================================================
+// INPUT
+// =====================================================
+
+function optionalText(value, name, max) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > max) {
+    throw new SharedPlanError(`${name} must be a string of at most ${max} characters`);
+  }
+  return value.trim() || null;
+}
+
+function optionalDate(value, name) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date)) {
+    throw new SharedPlanError(`${name} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+}
+
+function parseExpiry(expiresInDays) {
+  const days = expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : expiresInDays;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw new SharedPlanError(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+  return admin.firestore.Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stops are what the client shows: an itinerary's stops or a hand-picked
+ * list. `place` is only used for events from providers we can't look up
+ * (see snapshotFor).
+ */
+function parseStops(stops) {
+  if (!Array.isArray(stops) || stops.length === 0 || stops.length > MAX_STOPS) {
+    throw new SharedPlanError(`stops must be an array of 1-${MAX_STOPS} stops`);
+  }
+
+  return stops.map((stop, index) => {
+    if (!stop || typeof stop !== 'object') {
+      throw new SharedPlanError(`stops[${index}] must be an object`);
+    }
+    return {
+      placeId: stop.placeId,
+      place: stop.place,
+      role: optionalText(stop.role, `stops[${index}].role`, MAX_ROLE),
+      arriveAt: optionalDate(stop.arriveAt, `stops[${index}].arriveAt`),
+      departAt: optionalDate(stop.departAt, `stops[${index}].departAt`)
+    };
+  });
+}
+
+// =====================================================
+// VIEWS
+// =====================================================
+
+// What anyone with the link sees - never the owner's id
+function toPublicView(code, data) {
+  return {
+    code,
+    title: data.title,
+    note: data.note || null,
+    stops: (data.stops || []).map(stop => ({
+      role: stop.role || null,
+      arriveAt: stop.arriveAt || null,
+      departAt: stop.departAt || null,
+      place: withPhotoUrls(stop.snapshot)
+    })),
+    createdAt: toIso(data.createdAt),
+    expiresAt: toIso(data.expiresAt)
+  };
+}
+
+function toOwnerView(doc) {
+  const data = doc.data();
+  return {
+    ...toPublicView(doc.id, data),
+    status: statusOf(data),
+    revokedAt: toIso(data.revokedAt),
+    views: data.views || 0
+  };
+}
+
+// =====================================================
+// LINKS
+// =====================================================
+
+/**
+ * Snapshot the stops and mint a short code.
+ * @param {{ title?, note?, stops, expiresInDays? }} input
+ */
+async function createSharedPlan(userId, { title, note, stops, expiresInDays } = {}) {
+  const planTitle = optionalText(title, 'title', MAX_TITLE) || 'Our date plan';
+  const planNote = optionalText(note, 'note', MAX_NOTE);
+  const expiresAt = parseExpiry(expiresInDays);
+  const parsedStops = parseStops(stops);
+
+  // Sequential keeps Place Details bursts small; most stops are cached anyway
+  const snapshots = [];
+  for (const stop of parsedStops) {
+    snapshots.push(await snapshotFor(stop.placeId, stop.place));
+  }
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const data = {
+    ownerId: userId,
+    title: planTitle,
+    note: planNote,
+    stops: parsedStops.map((stop, index) => ({
+      role: stop.role,
+      arriveAt: stop.arriveAt,
+      departAt: stop.departAt,
+      snapshot: snapshots[index]
+    })),
+    createdAt: now,
+    expiresAt,
+    revokedAt: null,
+    views: 0
+  };
+
+  // create() refuses a taken code; with 62^8 codes a retry is rare
+  for (let attempt = 1; ; attempt++) {
+    const ref = plansCollection().doc(generateCode());
+    try {
+      await ref.create(data);
+      return toOwnerView(await ref.get());
+    } catch (error) {
+      if (error.code !== 6 || attempt >= 3) throw error; // 6 = ALREADY_EXISTS
+    }
+  }
+}
+
+/**
+ * Look up a link for the preview page or the public JSON.
+ * @returns {Promise<{ status: 'active'|'expired'|'revoked', plan: Object|null }|null>}
+ *   null if the code doesn't exist; plan is only set while active
+ */
+async function getSharedPlan(code) {
+  if (!isShareCode(code)) return null;
+
+  const doc = await plansCollection().doc(code).get();
+  if (!doc.exists) return null;
+
+  const data = doc.data();
+  const status = statusOf(data);
+  return { status, plan: status === 'active' ? toPublicView(code, data) : null };
+}
+
+// Best-effort counter for the owner's list - never blocks a page view
+function recordView(code) {
+  plansCollection().doc(code)
+    .update({ views: admin.firestore.FieldValue.increment(1) })
+    .catch(error => console.warn(`⚠️ Could not count view for shared plan ${code}:`, error.message));
+}
+
+/**
+ * The caller's links, newest first (including expired and revoked ones).
+ */
+async function listSharedPlans(userId) {
+  const snapshot = await plansCollection()
+    .where('ownerId', '==', userId)
+    .orderBy('createdAt', 'desc')
+    .limit(MAX_LISTED)
+    .get();
+
+  return snapshot.docs.map(toOwnerView);
+}
+
+/**
+ * Revoke a link. Only its creator can; revoking twice is a no-op.
+ * @returns {Promise<Object|null>} the owner view, or null if not found
+ */
+async function revokeSharedPlan(userId, code) {
+  if (!isShareCode(code)) return null;
+  const ref = plansCollection().doc(code);
+
+  const found = await admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().ownerId !== userId) return false;
+
+    if (!doc.data().revokedAt) {
+      transaction.update(ref, { revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return true;
+  });
+
+  return found ? toOwnerView(await ref.get()) : null;
+}
+
+module.exports = {
+  SharedPlanError,
+  createSharedPlan,
+  getSharedPlan,
+  recordView,
+  listSharedPlans,
+  revokeSharedPlan
+};
@@ -0,0 +1,108 @@
+const admin = require('firebase-admin');
+const { getEntitlement } = require('./entitlements');
+
+// =====================================================
+// 💾 PER-USER STORAGE QUOTAS
+// Scrapbook bytes (original + thumbnail) are tracked on
+// users/{uid}.storage = { bytes, photos, updatedAt }, reserved in a
+// transaction before an upload is saved and released on delete.
+// Limits follow the entitlement tier; a downgrade only blocks new
+// uploads, nothing is deleted.
+// =====================================================
+
+const MB = 1024 * 1024;
+
+const STORAGE_LIMITS = {
+  free: parseInt(process.env.QUOTA_STORAGE_FREE_MB || '250', 10) * MB,
+  trial: parseInt(process.env.QUOTA_STORAGE_TRIAL_MB || '1024', 10) * MB,
+  premium: parseInt(process.env.QUOTA_STORAGE_PREMIUM_MB || '10240', 10) * MB
+};
+
+class StorageQuotaError extends Error {
+  constructor(usage) {
+    super(`Storage limit reached (${Math.round(usage.limitBytes / MB)} MB on the ${usage.tier} plan)`);
+    this.name = 'StorageQuotaError';
+    this.status = 413;
+    this.usage = usage;
+  }
+}
+
+function userRef(userId) {
+  return admin.firestore().collection('users').doc(userId);
+}
+
+function describeUsage(tier, storage = {}) {
+  const limitBytes = STORAGE_LIMITS[tier] ?? STORAGE_LIMITS.free;
+  const usedBytes = Math.max(storage.bytes || 0, 0);
+
+  return {
+    tier,
+    limitBytes,
+    usedBytes,
+    remainingBytes: Math.max(limitBytes - usedBytes, 0),
+    percentUsed: limitBytes ? Math.min(Math.round((usedBytes / limitBytes) * 1000) / 10, 100) : 100,
+    photos: Math.max(storage.photos || 0, 0)
+  };
+}
+
+// Read fresh, not the quota tier cache - an upgrade must lift the limit at once
+async function tierOf(userId) {
+  const { tier } = await getEntitlement(userId);
+  return tier;
+}
+
+/**
+ * @returns {Promise<{ tier, limitBytes, usedBytes, remainingBytes, percentUsed, photos }>}
+ */
+async function getStorageUsage(userId) {
+  const [tier, snapshot] = await Promise.all([tierOf(userId), userRef(userId).get()]);
+  return describeUsage(tier, snapshot.data()?.storage);
+}
+
+// users/{uid} merge payload adding (or with negative values, removing) usage
+function storageDelta(bytes, photos) {
+  const { increment, serverTimestamp } = admin.firestore.FieldValue;
+  return {
+    storage: {
+      bytes: increment(bytes),
+      photos: increment(photos),
+      updatedAt: serverTimestamp()
+    }
+  };
+}
+
+/**
+ * Claim space for one photo, or throw StorageQuotaError (413).
+ */
+async function reserveStorage(userId, bytes) {
+  const tier = await tierOf(userId);
+  const ref = userRef(userId);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const usage = describeUsage(tier, snapshot.data()?.storage);
+
+    if (usage.usedBytes + bytes > usage.limitBytes) {
+      throw new StorageQuotaError(usage);
+    }
+
+    transaction.set(ref, storageDelta(bytes, 1), { merge: true });
+    return describeUsage(tier, { bytes: usage.usedBytes + bytes, photos: usage.photos + 1 });
+  });
+}
+
+/**
+ * Give back a reservation, e.g. when saving the upload failed.
+ */
+async function releaseStorage(userId, bytes) {
+  await userRef(userId).set(storageDelta(-bytes, -1), { merge: true });
+}
+
+module.exports = {
+  STORAGE_LIMITS,
+  StorageQuotaError,
+  getStorageUsage,
+  storageDelta,
+  reserveStorage,
+  releaseStorage
+};
@@ -0,0 +1,143 @@
+const admin = require('firebase-admin');
+
+// =====================================================
+// 📒 STRIPE EVENT LEDGER
+// stripeEvents/{eventId}       - one doc per webhook event (dedupe + replay)
+// stripeSubscriptions/{subId}  - newest event applied per subscription
+//                                (drops events that arrive out of order)
+// =====================================================
+
+// A "processing" claim older than this is treated as abandoned (crashed instance)
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+function eventsCollection() {
+  return admin.firestore().collection('stripeEvents');
+}
+
+// The subscription an event is about, if any
+function subscriptionIdForEvent(event) {
+  const object = event.data.object;
+
+  if (object.object === 'subscription') return object.id;
+  if (typeof object.subscription === 'string') return object.subscription;
+  return object.subscription?.id || null;
+}
+
+/**
+ * Claim an event before processing it.
+ * @param {Object} event - Stripe event
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - reclaim even if already processed (admin replay)
+ * @returns {Promise<'claimed'|'duplicate'|'in_progress'>}
+ */
+async function claimStripeEvent(event, options = {}) {
+  const db = admin.firestore();
+  const eventRef = eventsCollection().doc(event.id);
+
+  return db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    const existing = eventDoc.exists ? eventDoc.data() : null;
+
+    if (existing && !options.force) {
+      if (existing.status === 'processed') return 'duplicate';
+
+      const claimedAt = existing.claimedAt?.toMillis?.() || 0;
+      if (existing.status === 'processing' && Date.now() - claimedAt < PROCESSING_LEASE_MS) {
+        return 'in_progress';
+      }
+    }
+
+    transaction.set(eventRef, {
+      type: event.type,
+      created: event.created,
+      livemode: !!event.livemode,
+      objectId: event.data.object.id || null,
+      subscriptionId: subscriptionIdForEvent(event),
+      status: 'processing',
+      attempts: (existing?.attempts || 0) + 1,
+      claimedAt: admin.firestore.Timestamp.now(),
+      error: admin.firestore.FieldValue.delete()
+    }, { merge: true });
+
+    return 'claimed';
+  });
+}
+
+/**
+ * @param {string} eventId
+ * @param {string} outcome - 'handled', 'stale' or 'ignored'
+ */
+async function markStripeEventProcessed(eventId, outcome) {
+  await eventsCollection().doc(eventId).set({
+    status: 'processed',
+    outcome,
+    processedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Never throws - the caller is already handling the original error and
+ * must still answer Stripe with a 500 so it retries.
+ */
+async function markStripeEventFailed(eventId, error) {
+  try {
+    await eventsCollection().doc(eventId).set({
+      status: 'failed',
+      error: error.message || String(error),
+      failedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (markError) {
+    console.error(`Could not mark Stripe event ${eventId} as failed:`, markError.message);
+  }
+}
+
+function subscriptionRef(subscriptionId) {
+  return admin.firestore().collection('stripeSubscriptions').doc(subscriptionId);
+}
+
+/**
+ * True if a newer event for this subscription was already applied.
+ */
+async function isStaleSubscriptionEvent(subscriptionId, eventCreated) {
+  const subscriptionDoc = await subscriptionRef(subscriptionId).get();
+  const lastEventCreated = subscriptionDoc.exists ? subscriptionDoc.data().lastEventCreated || 0 : 0;
+  return eventCreated < lastEventCreated;
+}
+
+/**
+ * Record an event as applied - only once its handler has succeeded, so a
+ * failed event doesn't make older retries look stale. Never moves backwards.
+ */
+async function recordSubscriptionEvent(subscriptionId, eventCreated) {
+  const db = admin.firestore();
+  const ref = subscriptionRef(subscriptionId);
+
+  await db.runTransaction(async (transaction) => {
+    const subscriptionDoc = await transaction.get(ref);
+    const lastEventCreated = subscriptionDoc.exists ? subscriptionDoc.data().lastEventCreated || 0 : 0;
+    if (eventCreated <= lastEventCreated) return;
+
+    transaction.set(ref, {
+      lastEventCreated: eventCreated,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+}
+
+async function listStripeEvents({ status, limit = 50 } = {}) {
+  let query = eventsCollection();
+  if (status) query = query.where('status', '==', status);
+
+  const snapshot = await query.orderBy('created', 'desc').limit(limit).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  subscriptionIdForEvent,
+  claimStripeEvent,
+  markStripeEventProcessed,
+  markStripeEventFailed,
+  isStaleSubscriptionEvent,
+  recordSubscriptionEvent,
+  listStripeEvents
+};
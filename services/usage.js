@@ -0,0 +1,321 @@
+const axios = require('axios');
+const { isRedisConnected, getRedisClient } = require('./cache');
+const { currentRequest } = require('./requestContext');
+
+// =====================================================
+// 💰 UPSTREAM API USAGE + COST ACCOUNTING
+// Every outbound provider call is metered by SKU, route and
+// user (IP when anonymous) into a daily Redis rollup:
+//   usage:{date}            hash - calls:{sku}, micros:{sku}, micros:total,
+//                                  route:{route}|{sku}
+//   usage:{date}:consumers  zset - consumer → spend in micro-dollars
+// =====================================================
+
+// List price per call in USD - override with e.g. USAGE_COST_PLACES_NEARBY=0.032
+const DEFAULT_COSTS = {
+  places_nearby: 0.032,
+  places_details: 0.017,
+  places_autocomplete: 0.00283,
+  places_photo: 0.007,
+  geocoding: 0.005,
+  ticketmaster: 0
+};
+
+const SKU_COSTS = Object.fromEntries(Object.entries(DEFAULT_COSTS).map(([sku, cost]) => [
+  sku,
+  parseFloat(process.env[`USAGE_COST_${sku.toUpperCase()}`] || cost)
+]));
+
+// Matched against outbound URLs, first match wins
+const SKU_PATTERNS = [
+  { provider: 'google', sku: 'places_nearby', pattern: /maps\.googleapis\.com\/maps\/api\/place\/nearbysearch/ },
+  { provider: 'google', sku: 'places_details', pattern: /maps\.googleapis\.com\/maps\/api\/place\/details/ },
+  { provider: 'google', sku: 'places_autocomplete', pattern: /maps\.googleapis\.com\/maps\/api\/place\/autocomplete/ },
+  { provider: 'google', sku: 'places_photo', pattern: /maps\.googleapis\.com\/maps\/api\/place\/photo/ },
+  { provider: 'google', sku: 'geocoding', pattern: /maps\.googleapis\.com\/maps\/api\/geocode/ },
+  { provider: 'ticketmaster', sku: 'ticketmaster', pattern: /app\.ticketmaster\.com/ }
+];
+
+// Optional daily budget, e.g. USAGE_DAILY_BUDGET_USD=50
+const DAILY_BUDGET_USD = process.env.USAGE_DAILY_BUDGET_USD
+  ? parseFloat(process.env.USAGE_DAILY_BUDGET_USD)
+  : null;
+
+// Fractions of the budget that raise an alarm, once per day each
+const ALARM_THRESHOLDS = (process.env.USAGE_ALARM_THRESHOLDS || '0.5,0.8,1')
+  .split(',')
+  .map(Number)
+  .filter(threshold => threshold > 0)
+  .sort((a, b) => a - b);
+
+// Set USAGE_CACHE_ONLY_ON_BUDGET=false to only alarm
+const CACHE_ONLY_ON_BUDGET = process.env.USAGE_CACHE_ONLY_ON_BUDGET !== 'false';
+
+const USAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+const MICROS_PER_USD = 1000000;
+
+// How long a spend reading is trusted before asking Redis again
+const SPEND_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Used only while Redis is down: date → { fields: Map, consumers: Map }
+const memoryUsage = new Map();
+
+let spendToday = { date: null, micros: 0, checkedAt: 0 };
+
+// Thrown instead of making a paid call while over the daily budget
+class UpstreamBudgetError extends Error {
+  constructor(sku) {
+    super('Daily API budget reached - only cached results are available');
+    this.name = 'UpstreamBudgetError';
+    this.status = 503;
+    this.sku = sku;
+  }
+}
+
+function todayKey(now = new Date()) {
+  return now.toISOString().split('T')[0];
+}
+
+/**
+ * Which metered provider API an outbound URL belongs to.
+ * @returns {{ provider: string, sku: string } | null}
+ */
+function upstreamFor(url) {
+  const match = SKU_PATTERNS.find(({ pattern }) => pattern.test(url));
+  return match ? { provider: match.provider, sku: match.sku } : null;
+}
+
+function routeLabel(req) {
+  if (!req) return 'background';
+  return req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+}
+
+function consumerLabel(req) {
+  if (!req) return 'system';
+  return req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+}
+
+function memoryDay(date) {
+  if (!memoryUsage.has(date)) {
+    // Only today's fallback counters matter
+    memoryUsage.clear();
+    memoryUsage.set(date, { fields: new Map(), consumers: new Map() });
+  }
+  return memoryUsage.get(date);
+}
+
+function incrementMemory(map, field, by) {
+  map.set(field, (map.get(field) || 0) + by);
+  return map.get(field);
+}
+
+// @returns {Promise<number>} today's total spend in micro-dollars after this call
+async function incrementUsage(date, sku, route, consumer, micros) {
+  if (isRedisConnected()) {
+    try {
+      const key = `usage:${date}`;
+      const consumersKey = `${key}:consumers`;
+      const replies = await getRedisClient().multi()
+        .hIncrBy(key, 'micros:total', micros)
+        .hIncrBy(key, `calls:${sku}`, 1)
+        .hIncrBy(key, `micros:${sku}`, micros)
+        .hIncrBy(key, `route:${route}|${sku}`, 1)
+        .zIncrBy(consumersKey, micros, consumer)
+        .expire(key, USAGE_TTL_SECONDS)
+        .expire(consumersKey, USAGE_TTL_SECONDS)
+        .exec();
+      return Number(replies[0]);
+    } catch (error) {
+      console.error('Usage write error:', error.message);
+    }
+  }
+
+  const day = memoryDay(date);
+  incrementMemory(day.fields, `calls:${sku}`, 1);
+  incrementMemory(day.fields, `micros:${sku}`, micros);
+  incrementMemory(day.fields, `route:${route}|${sku}`, 1);
+  incrementMemory(day.consumers, consumer, micros);
+  return incrementMemory(day.fields, 'micros:total', micros);
+}
+
+async function raiseBudgetAlarm(threshold, spentUsd) {
+  const message = `🚨 Upstream API spend $${spentUsd.toFixed(2)} crossed ${Math.round(threshold * 100)}% ` +
+    `of the $${DAILY_BUDGET_USD} daily budget` +
+    (threshold >= 1 && CACHE_ONLY_ON_BUDGET ? ' - paid Google calls are now cache-only' : '');
+
+  console.error(message);
+
+  if (process.env.USAGE_ALARM_WEBHOOK_URL) {
+    try {
+      // Slack/Discord-compatible payload
+      await axios.post(process.env.USAGE_ALARM_WEBHOOK_URL, { text: message });
+    } catch (error) {
+      console.error('Budget alarm webhook failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Meter one outbound call. Never throws - metering must not break requests.
+ */
+async function recordUpstreamCall(sku) {
+  try {
+    const req = currentRequest();
+    const date = todayKey();
+    const micros = Math.round((SKU_COSTS[sku] || 0) * MICROS_PER_USD);
+
+    const totalMicros = await incrementUsage(date, sku, routeLabel(req), consumerLabel(req), micros);
+    spendToday = { date, micros: totalMicros, checkedAt: Date.now() };
+
+    if (!DAILY_BUDGET_USD || micros === 0) return;
+
+    // HINCRBY is atomic, so exactly one call crosses each threshold
+    const budgetMicros = DAILY_BUDGET_USD * MICROS_PER_USD;
+    for (const threshold of ALARM_THRESHOLDS) {
+      const line = threshold * budgetMicros;
+      if (totalMicros - micros < line && totalMicros >= line) {
+        await raiseBudgetAlarm(threshold, totalMicros / MICROS_PER_USD);
+      }
+    }
+  } catch (error) {
+    console.error('Usage metering error:', error.message);
+  }
+}
+
+/**
+ * Meter every axios request to a known provider. Over the daily budget,
+ * paid calls are refused here - the one place every caller goes through.
+ */
+function installUsageMeter(client = axios) {
+  client.interceptors.request.use(async (config) => {
+    const upstream = upstreamFor(config.url || '');
+    if (!upstream) return config;
+
+    if (SKU_COSTS[upstream.sku] > 0 && await isPlacesCacheOnly()) {
+      throw new UpstreamBudgetError(upstream.sku);
+    }
+
+    recordUpstreamCall(upstream.sku);
+    return config;
+  });
+}
+
+async function readSpendMicros(date) {
+  if (isRedisConnected()) {
+    try {
+      return parseInt(await getRedisClient().hGet(`usage:${date}`, 'micros:total'), 10) || 0;
+    } catch (error) {
+      console.error('Usage read error:', error.message);
+    }
+  }
+
+  const day = memoryUsage.get(date);
+  return day ? day.fields.get('micros:total') || 0 : 0;
+}
+
+/**
+ * True once today's spend reaches the daily budget (and cache-only is enabled).
+ */
+async function isPlacesCacheOnly() {
+  if (!DAILY_BUDGET_USD || !CACHE_ONLY_ON_BUDGET) return false;
+
+  const date = todayKey();
+  if (spendToday.date !== date || Date.now() - spendToday.checkedAt > SPEND_CHECK_INTERVAL_MS) {
+    spendToday = { date, micros: await readSpendMicros(date), checkedAt: Date.now() };
+  }
+
+  return spendToday.micros >= DAILY_BUDGET_USD * MICROS_PER_USD;
+}
+
+async function readDay(date) {
+  if (isRedisConnected()) {
+    try {
+      const client = getRedisClient();
+      const [fields, consumers] = await Promise.all([
+        client.hGetAll(`usage:${date}`),
+        client.zRangeWithScores(`usage:${date}:consumers`, 0, 19, { REV: true })
+      ]);
+      return {
+        fields: Object.entries(fields).map(([field, value]) => [field, parseInt(value, 10)]),
+        consumers: consumers.map(({ value, score }) => [value, score])
+      };
+    } catch (error) {
+      console.error('Usage report read error:', error.message);
+    }
+  }
+
+  const day = memoryUsage.get(date);
+  return {
+    fields: day ? [...day.fields.entries()] : [],
+    consumers: day
+      ? [...day.consumers.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20)
+      : []
+  };
+}
+
+function toUsd(micros) {
+  return Math.round(micros) / MICROS_PER_USD;
+}
+
+/**
+ * Daily rollups for the admin report, newest first.
+ */
+async function getUsageReport(days = 7) {
+  const report = [];
+
+  for (let i = 0; i < days; i++) {
+    const date = todayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+    const { fields, consumers } = await readDay(date);
+
+    const bySku = {};
+    const byRoute = {};
+    let totalMicros = 0;
+
+    for (const [field, value] of fields) {
+      const separator = field.indexOf(':');
+      const kind = field.slice(0, separator);
+      const rest = field.slice(separator + 1);
+
+      if (kind === 'calls' || kind === 'micros') {
+        if (rest === 'total') {
+          totalMicros = value;
+          continue;
+        }
+        bySku[rest] = bySku[rest] || { calls: 0, costUsd: 0 };
+        if (kind === 'calls') bySku[rest].calls = value;
+        else bySku[rest].costUsd = toUsd(value);
+      } else if (kind === 'route') {
+        const [route, sku] = rest.split('|');
+        byRoute[route] = byRoute[route] || {};
+        byRoute[route][sku] = value;
+      }
+    }
+
+    report.push({
+      date,
+      totalCostUsd: toUsd(totalMicros),
+      bySku,
+      byRoute,
+      topConsumers: consumers.map(([consumer, micros]) => ({ consumer, costUsd: toUsd(micros) }))
+    });
+  }
+
+  return {
+    budget: {
+      dailyUsd: DAILY_BUDGET_USD,
+      alarmThresholds: ALARM_THRESHOLDS,
+      cacheOnlyOnBudget: CACHE_ONLY_ON_BUDGET,
+      placesCacheOnly: await isPlacesCacheOnly()
+    },
+    costs: SKU_COSTS,
+    days: report
+  };
+}
+
+module.exports = {
+  UpstreamBudgetError,
+  upstreamFor,
+  installUsageMeter,
+  isPlacesCacheOnly,
+  getUsageReport
+};
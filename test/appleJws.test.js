@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AppleJwsError, createAppleJwsVerifier } = require('../services/appleJws');
+const { createTestChain, signJws } = require('./helpers/appleChain');
+
+const certs = createTestChain();
+const verifier = createAppleJwsVerifier({ rootCertificates: [certs.root.pem] });
+const validChain = [certs.leaf, certs.intermediate, certs.root];
+
+function sign(payload, chain = validChain, key = certs.leaf.key) {
+  return signJws({ signedDate: Date.now(), ...payload }, { key, chain });
+}
+
+function assertRejected(jws, message) {
+  assert.throws(() => verifier.verify(jws), error => error instanceof AppleJwsError && message.test(error.message));
+}
+
+test('accepts a payload signed by a chain to a trusted root', () => {
+  const payload = verifier.verify(sign({ notificationType: 'DID_RENEW' }));
+  assert.equal(payload.notificationType, 'DID_RENEW');
+});
+
+test('rejects a chain that ends in an untrusted root', () => {
+  const otherVerifier = createAppleJwsVerifier({ rootCertificates: [certs.otherRoot.pem] });
+  assert.throws(() => otherVerifier.verify(sign({})), /Root certificate is not trusted/);
+});
+
+test('rejects a leaf that was not issued by the intermediate', () => {
+  assertRejected(sign({}, [certs.leaf, certs.forgedIntermediate, certs.root]), /Leaf certificate was not issued/);
+});
+
+test('rejects an intermediate that was not issued by the root', () => {
+  const verifierForOtherRoot = createAppleJwsVerifier({ rootCertificates: [certs.otherRoot.pem] });
+  assert.throws(
+    () => verifierForOtherRoot.verify(sign({}, [certs.leaf, certs.intermediate, certs.otherRoot])),
+    /Intermediate certificate was not issued by root/
+  );
+});
+
+test('rejects a chain of the wrong length', () => {
+  assertRejected(sign({}, [certs.leaf, certs.intermediate]), /Expected 3 certificates/);
+});
+
+test('rejects a signature made with another key', () => {
+  assertRejected(sign({}, validChain, certs.intermediate.key), /signature is invalid/);
+});
+
+test('rejects a payload changed after signing', () => {
+  const [header, , signature] = sign({ notificationType: 'REFUND' }).split('.');
+  const forged = Buffer.from(JSON.stringify({ notificationType: 'DID_RENEW', signedDate: Date.now() })).toString('base64url');
+  assertRejected(`${header}.${forged}.${signature}`, /signature is invalid/);
+});
+
+test('rejects a payload signed outside the certificates\' validity', () => {
+  assertRejected(sign({ signedDate: Date.now() + 30 * 24 * 60 * 60 * 1000 }), /Certificate not valid/);
+});
+
+test('rejects non-ES256 and malformed tokens', () => {
+  const [, payload, signature] = sign({}).split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'none', x5c: [] })).toString('base64url');
+  assertRejected(`${header}.${payload}.${signature}`, /Unsupported JWS algorithm/);
+  assertRejected('not-a-jws', /Malformed JWS/);
+});
+
+test('requires Apple marker OIDs unless told otherwise', () => {
+  const strictVerifier = createAppleJwsVerifier({ rootCertificates: [certs.root.pem], checkAppleOids: true });
+  assert.throws(() => strictVerifier.verify(sign({})), /missing Apple marker OID/);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+const { createTestChain, signJws } = require('./helpers/appleChain');
+const { createAppleJwsVerifier } = require('../services/appleJws');
+const createAppleNotificationsRouter = require('../routes/appleNotifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const certs = createTestChain();
+const signer = { key: certs.leaf.key, chain: [certs.leaf, certs.intermediate, certs.root] };
+const { docs } = installFakeFirestore();
+
+// The route logs every notification; keep the test report readable
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api', createAppleNotificationsRouter({
+    verifier: createAppleJwsVerifier({ rootCertificates: [certs.root.pem] })
+  }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  delete process.env.APPLE_BUNDLE_ID;
+  docs.clear();
+  docs.set('users/user-1', { appleOriginalTransactionId: 'orig-1' });
+});
+
+function signedNotification({ notificationType, subtype, transaction = {}, renewalInfo, environment = 'Production', ...rest }) {
+  const signedDate = Date.now();
+  return signJws({
+    notificationType,
+    subtype,
+    notificationUUID: crypto.randomUUID(),
+    signedDate,
+    data: {
+      bundleId: 'com.example.datemaker',
+      environment,
+      signedTransactionInfo: signJws({
+        originalTransactionId: 'orig-1',
+        productId: 'premium_monthly',
+        expiresDate: Date.now() + 30 * DAY_MS,
+        signedDate,
+        ...transaction
+      }, signer),
+      signedRenewalInfo: renewalInfo ? signJws({ signedDate, ...renewalInfo }, signer) : undefined
+    },
+    ...rest
+  }, signer);
+}
+
+async function post(signedPayload) {
+  const response = await fetch(`${baseUrl}/api/apple-notifications`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ signedPayload })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function uuidOf(signedPayload) {
+  return JSON.parse(Buffer.from(signedPayload.split('.')[1], 'base64url')).notificationUUID;
+}
+
+function user() {
+  return docs.get('users/user-1');
+}
+
+test('maps each notification type onto the Apple entitlement', async (t) => {
+  const cases = [
+    { notificationType: 'DID_RENEW', status: 'active', tier: 'premium' },
+    {
+      notificationType: 'DID_FAIL_TO_RENEW',
+      subtype: 'GRACE_PERIOD',
+      renewalInfo: { gracePeriodExpiresDate: Date.now() + 7 * DAY_MS },
+      status: 'grace',
+      tier: 'premium'
+    },
+    { notificationType: 'DID_FAIL_TO_RENEW', status: 'billing_retry', tier: 'free' },
+    { notificationType: 'EXPIRED', subtype: 'VOLUNTARY', status: 'expired', tier: 'free' },
+    { notificationType: 'GRACE_PERIOD_EXPIRED', status: 'expired', tier: 'free' },
+    { notificationType: 'REFUND', transaction: { revocationDate: Date.now() }, status: 'refunded', tier: 'free' },
+    { notificationType: 'REVOKE', transaction: { revocationDate: Date.now() }, status: 'revoked', tier: 'free' }
+  ];
+
+  for (const { status, tier, ...notification } of cases) {
+    await t.test(`${notification.notificationType}${notification.subtype ? `:${notification.subtype}` : ''}`, async () => {
+      const signedPayload = signedNotification(notification);
+      const response = await post(signedPayload);
+
+      assert.equal(response.status, 200);
+      assert.equal(user().entitlements.apple.status, status);
+      assert.equal(user().entitlement.tier, tier);
+      assert.equal(docs.get(`appleNotifications/${uuidOf(signedPayload)}`).applied, true);
+    });
+  }
+});
+
+test('records unhandled types without touching the entitlement', async () => {
+  const signedPayload = signedNotification({ notificationType: 'PRICE_INCREASE' });
+  const response = await post(signedPayload);
+
+  assert.equal(response.status, 200);
+  assert.equal(user().entitlements, undefined);
+  assert.equal(docs.get(`appleNotifications/${uuidOf(signedPayload)}`).applied, false);
+});
+
+test('applies a notificationUUID only once', async () => {
+  const signedPayload = signedNotification({ notificationType: 'DID_RENEW' });
+  assert.equal((await post(signedPayload)).status, 200);
+
+  // A later state change must not be undone by Apple retrying the renewal
+  docs.set('users/user-1', { ...user(), entitlements: { apple: { status: 'refunded' } } });
+
+  const retry = await post(signedPayload);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.alreadyProcessed, true);
+  assert.equal(user().entitlements.apple.status, 'refunded');
+});
+
+test('rejects payloads that fail verification', async () => {
+  const untrusted = signJws({ notificationType: 'DID_RENEW', notificationUUID: crypto.randomUUID(), data: {} }, {
+    key: certs.leaf.key,
+    chain: [certs.leaf, certs.intermediate, certs.otherRoot]
+  });
+  assert.equal((await post(untrusted)).status, 400);
+
+  const [header, , signature] = signedNotification({ notificationType: 'REFUND' }).split('.');
+  const tampered = Buffer.from(JSON.stringify({ notificationType: 'DID_RENEW', notificationUUID: 'x', data: {} })).toString('base64url');
+  assert.equal((await post(`${header}.${tampered}.${signature}`)).status, 400);
+
+  assert.equal(user().entitlements, undefined);
+  assert.equal([...docs.keys()].some(path => path.startsWith('appleNotifications/')), false);
+});
+
+test('rejects notifications for another bundle', async () => {
+  process.env.APPLE_BUNDLE_ID = 'com.example.other';
+  const response = await post(signedNotification({ notificationType: 'DID_RENEW' }));
+
+  assert.equal(response.status, 400);
+  assert.equal(user().entitlements, undefined);
+});
+
+test('rejects notifications without a notificationUUID', async () => {
+  const response = await post(signedNotification({ notificationType: 'DID_RENEW', notificationUUID: undefined }));
+  assert.equal(response.status, 400);
+});
+
+test('ignores sandbox notifications in production', async () => {
+  const previous = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    const response = await post(signedNotification({ notificationType: 'DID_RENEW', environment: 'Sandbox' }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ignored, true);
+    assert.equal(user().entitlements, undefined);
+  } finally {
+    if (previous === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = previous;
+  }
+});
+
+test('asks Apple to retry until the purchase is linked to a user', async () => {
+  const signedPayload = signedNotification({ notificationType: 'DID_RENEW', transaction: { originalTransactionId: 'orig-2' } });
+
+  assert.equal((await post(signedPayload)).status, 404);
+  assert.equal(docs.has(`appleNotifications/${uuidOf(signedPayload)}`), false);
+
+  docs.set('appleTransactions/orig-2', { userId: 'user-1' });
+  assert.equal((await post(signedPayload)).status, 200);
+  assert.equal(user().entitlement.tier, 'premium');
+});
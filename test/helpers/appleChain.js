@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// =====================================================
+// 🍎 LOCALLY GENERATED APPLE-STYLE CERTIFICATE CHAINS
+// ES256 root → intermediate → leaf, issued with the openssl CLI,
+// plus a second root and a look-alike intermediate for negative tests.
+// =====================================================
+
+const CA_EXTENSIONS = [
+  '[ca]',
+  'basicConstraints = critical, CA:TRUE',
+  'keyUsage = critical, keyCertSign, cRLSign',
+  '[leaf]',
+  'basicConstraints = critical, CA:FALSE',
+  'keyUsage = critical, digitalSignature'
+].join('\n');
+
+function openssl(args, cwd) {
+  execFileSync('openssl', args, { cwd, stdio: 'pipe' });
+}
+
+function writeKey(dir, name) {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  fs.writeFileSync(path.join(dir, `${name}.key`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return privateKey;
+}
+
+function readCert(dir, name, key) {
+  const pem = fs.readFileSync(path.join(dir, `${name}.pem`), 'utf-8');
+  return { pem, key, x509: new crypto.X509Certificate(pem) };
+}
+
+function selfSigned(dir, name, subject) {
+  const key = writeKey(dir, name);
+  openssl([
+    'req', '-x509', '-new', '-key', `${name}.key`, '-subj', subject, '-days', '2',
+    '-config', 'ext.cnf', '-extensions', 'ca', '-out', `${name}.pem`
+  ], dir);
+  return readCert(dir, name, key);
+}
+
+function issued(dir, name, subject, issuer, extensions, serial) {
+  const key = writeKey(dir, name);
+  openssl(['req', '-new', '-key', `${name}.key`, '-subj', subject, '-config', 'ext.cnf', '-out', `${name}.csr`], dir);
+  openssl([
+    'x509', '-req', '-in', `${name}.csr`, '-CA', `${issuer}.pem`, '-CAkey', `${issuer}.key`,
+    '-set_serial', String(serial), '-days', '1', '-extfile', 'ext.cnf', '-extensions', extensions,
+    '-out', `${name}.pem`
+  ], dir);
+  return readCert(dir, name, key);
+}
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Issue a fresh set of test certificates in a temp directory.
+ */
+function createTestChain() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apple-chain-'));
+
+  try {
+    // req needs a config with a distinguished_name section
+    fs.writeFileSync(path.join(dir, 'ext.cnf'), `[req]\ndistinguished_name = dn\n[dn]\n${CA_EXTENSIONS}\n`);
+
+    const root = selfSigned(dir, 'root', '/CN=Test Root CA');
+    const otherRoot = selfSigned(dir, 'other-root', '/CN=Other Root CA');
+    const intermediate = issued(dir, 'intermediate', '/CN=Test Intermediate', 'root', 'ca', 2);
+    // Same subject as the real intermediate, different key
+    const forgedIntermediate = issued(dir, 'forged-intermediate', '/CN=Test Intermediate', 'root', 'ca', 3);
+    const leaf = issued(dir, 'leaf', '/CN=Test Signing Leaf', 'intermediate', 'leaf', 4);
+
+    return { root, otherRoot, intermediate, forgedIntermediate, leaf };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Compact ES256 JWS with the chain in x5c, like Apple sends.
+ * @param {Object} payload
+ * @param {{ key: crypto.KeyObject, chain: Array<{ x509: crypto.X509Certificate }> }} signer
+ */
+function signJws(payload, { key, chain }) {
+  const header = base64Url(JSON.stringify({
+    alg: 'ES256',
+    x5c: chain.map(cert => cert.x509.raw.toString('base64'))
+  }));
+  const body = base64Url(JSON.stringify(payload));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `${header}.${body}.${base64Url(signature)}`;
+}
+
+module.exports = {
+  createTestChain,
+  signJws
+};
@@ -0,0 +1,99 @@
+const admin = require('firebase-admin');
+
+// =====================================================
+// 🧪 IN-MEMORY FIRESTORE
+// Just enough of admin.firestore() for the routes under test:
+// doc get/set (with merge), equality queries and transactions.
+// =====================================================
+
+const DELETE = Symbol('delete');
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+function timestamp(ms) {
+  return { toMillis: () => ms, toDate: () => new Date(ms) };
+}
+
+function isPlainObject(value) {
+  return value && typeof value === 'object' && value.constructor === Object;
+}
+
+// Firestore merges nested maps; sentinels resolve on write
+function applyWrite(target, data, merge) {
+  const result = merge ? { ...target } : {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === DELETE) {
+      delete result[key];
+    } else if (value === SERVER_TIMESTAMP) {
+      result[key] = timestamp(Date.now());
+    } else if (merge && isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = applyWrite(result[key], value, true);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function createFakeFirestore() {
+  const docs = new Map(); // "collection/id" → data
+
+  function snapshotOf(id, path) {
+    const data = docs.get(path);
+    return { id, exists: data !== undefined, data: () => data };
+  }
+
+  function docRef(collection, id) {
+    const path = `${collection}/${id}`;
+    return {
+      id,
+      path,
+      get: async () => snapshotOf(id, path),
+      set: async (data, options = {}) => {
+        docs.set(path, applyWrite(docs.get(path) || {}, data, !!options.merge));
+      }
+    };
+  }
+
+  function query(collection, filters = [], limit = Infinity) {
+    return {
+      where: (field, op, value) => query(collection, [...filters, { field, value }], limit),
+      limit: count => query(collection, filters, count),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter(path => path.startsWith(`${collection}/`))
+          .map(path => snapshotOf(path.slice(collection.length + 1), path))
+          .filter(doc => filters.every(({ field, value }) => doc.data()[field] === value))
+          .slice(0, limit);
+        return { empty: matches.length === 0, docs: matches };
+      }
+    };
+  }
+
+  const db = {
+    collection: name => ({ ...query(name), doc: id => docRef(name, id) }),
+    runTransaction: async fn => fn({
+      get: ref => ref.get(),
+      set: (ref, data, options) => ref.set(data, options)
+    })
+  };
+
+  return { db, docs };
+}
+
+/**
+ * Point admin.firestore() at a fresh in-memory store.
+ * @returns {{ db: Object, docs: Map<string, Object> }}
+ */
+function installFakeFirestore() {
+  const fake = createFakeFirestore();
+  const firestore = () => fake.db;
+  firestore.FieldValue = { delete: () => DELETE, serverTimestamp: () => SERVER_TIMESTAMP };
+  firestore.Timestamp = { fromMillis: timestamp, now: () => timestamp(Date.now()) };
+
+  Object.defineProperty(admin, 'firestore', { configurable: true, value: firestore });
+  return fake;
+}
+
+module.exports = {
+  installFakeFirestore
+};